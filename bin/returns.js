@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Command-line front end for the returns engine: reads a JSON or CSV scenario and prints the metrics table.
+
+import { readFileSync } from "node:fs";
+import { extname } from "node:path";
+import {
+  BENCHMARK_STATS,
+  RISK_STATS,
+  applicableMetrics,
+  riskStats,
+  runScenario,
+  validateScenario
+} from "../src/engine/index.js";
+import { scenarioFromCsv } from "../src/engine/csv.js";
+
+const USAGE = `Usage: returns <scenario.json|scenario.csv> [options]
+
+Options:
+  --scale <n>          Multiplier applied to every amount (default 1000000, amounts in millions)
+  --start-date <date>  Inception date (YYYY-MM-DD) for a CSV with end_date, investment_date
+                       and withdrawal_date columns but no start_date column
+  --risk-free <rate>   Per-period risk-free rate as a decimal for the risk table (default 0)
+  --json               Print the full engine output as JSON instead of the metrics table
+  -h, --help           Show this help`;
+
+function parseArgs(argv) {
+  const options = { file: null, scale: undefined, startDate: undefined, riskFree: 0, json: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") options.help = true;
+    else if (arg === "--json") options.json = true;
+    else if (arg === "--scale") options.scale = Number(argv[++i]);
+    else if (arg === "--start-date") options.startDate = argv[++i];
+    else if (arg === "--risk-free") {
+      options.riskFree = Number(argv[++i]);
+      if (isNaN(options.riskFree)) throw new Error("--risk-free needs a number");
+    }
+    else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else options.file = arg;
+  }
+  return options;
+}
+
+function loadScenario(file, options) {
+  const text = readFileSync(file, "utf8");
+  const scenario = extname(file).toLowerCase() === ".csv"
+    ? scenarioFromCsv(text, { startDate: options.startDate, unitScale: options.scale })
+    : JSON.parse(text);
+
+  // A file holding something other than an object is left for validateScenario to report
+  if (options.scale !== undefined && scenario && typeof scenario === "object") scenario.unitScale = options.scale;
+  return scenario;
+}
+
+function formatPercent(value) {
+  return isNaN(value) ? "n/a" : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatStat(stat, value) {
+  return stat.isRatio ? (isNaN(value) ? "n/a" : value.toFixed(2)) : formatPercent(value);
+}
+
+function formatMetricsTable(scenario, result, riskFree) {
+  const rows = applicableMetrics(scenario).map(metric => [metric.name, formatPercent(result.metrics[metric.key])]);
+  if (result.benchmark) {
+    BENCHMARK_STATS.forEach(stat => rows.push([stat.name, formatStat(stat, result.benchmark[stat.key])]));
+  }
+  if (result.portfolio) {
+    rows.push(["Portfolio Money-Weighted Return (IRR)", formatPercent(result.portfolio.irr)]);
+    rows.push(["Portfolio Time-Weighted Return", formatPercent(result.portfolio.twr)]);
+    result.portfolio.holdings.forEach(holding => rows.push([`${holding.name} Time-Weighted Return`, formatPercent(holding.twr)]));
+  }
+  const risk = riskStats({ ...result, returns: scenario.returns, twr: result.metrics.twr }, riskFree);
+  RISK_STATS.forEach(stat => rows.push([stat.name, formatStat(stat, risk[stat.key])]));
+  const nameWidth = Math.max("Metric".length, ...rows.map(([name]) => name.length));
+  const valueWidth = Math.max("Value".length, ...rows.map(([, value]) => value.length));
+
+  const line = (name, value) => `${name.padEnd(nameWidth)}  ${value.padStart(valueWidth)}`;
+  const lines = [
+    line("Metric", "Value"),
+    line("-".repeat(nameWidth), "-".repeat(valueWidth)),
+    ...rows.map(([name, value]) => line(name, value))
+  ];
+
+  const { roots, signChanges } = result.irrAnalysis;
+  if (roots.length > 1) {
+    lines.push("", `Note: multiple IRRs found (${roots.map(formatPercent).join(", ")}); cash flows change sign ${signChanges} times.`);
+  }
+  return lines.join("\n");
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  let scenario;
+  try {
+    scenario = loadScenario(options.file, options);
+  } catch (err) {
+    console.error(`Could not read ${options.file}: ${err.message}`);
+    return 1;
+  }
+
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    console.error(`Input Errors:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+    return 1;
+  }
+
+  const result = runScenario(scenario);
+  console.log(options.json ? JSON.stringify(result, null, 2) : formatMetricsTable(scenario, result, options.riskFree));
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
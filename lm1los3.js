@@ -11,44 +11,7 @@ import {
   Tooltip,
   Legend,
 } from "recharts";
-
-function calculateIRR(cashFlows) {
-  let guess = 0.1;
-  let maxIter = 100;
-  let tol = 1e-6;
-  for (let iter = 0; iter < maxIter; iter++) {
-    let npv = 0;
-    let dnpv = 0;
-    for (let t = 0; t < cashFlows.length; t++) {
-      npv += cashFlows[t] / Math.pow(1 + guess, t);
-      dnpv += -t * cashFlows[t] / Math.pow(1 + guess, t + 1);
-    }
-    const newGuess = guess - npv / dnpv;
-    if (Math.abs(newGuess - guess) < tol) return newGuess;
-    guess = newGuess;
-  }
-  return NaN;
-}
-
-function calculateTWR(startValues, gains, totalDividends) {
-  const subReturns = startValues.map((start, i) => {
-    const total = start + gains[i] + totalDividends[i];
-    return start > 0 ? total / start : 1;
-  });
-  return Math.pow(subReturns.reduce((acc, r) => acc * r, 1), 1 / subReturns.length) - 1;
-}
-
-function mean(arr) {
-  const n = arr.length;
-  const sum = arr.reduce((acc, val) => acc + val, 0);
-  return sum / n;
-}
-
-function geometricMean(arr) {
-  const n = arr.length;
-  const product = arr.reduce((acc, val) => acc * (1 + val), 1);
-  return Math.pow(product, 1 / n) - 1;
-}
+import { runScenario } from "./src/engine/index.js";
 
 export default function PortfolioReturnSim() {
   const [investment, setInvestment] = useState([100, 950, 0]);
@@ -57,45 +20,58 @@ export default function PortfolioReturnSim() {
   const [divNotReinvested, setDivNotReinvested] = useState([5, 0, 0]);
   const [withdrawals, setWithdrawals] = useState([0, -350, 0]);
 
-  const startValues = [investment[0]];
-  const gains = [startValues[0] * returns[0]];
-  const endValues = [
-    startValues[0] + gains[0] + divReinvested[0] + withdrawals[0],
-  ];
+  // Amounts here are plain dollars, so no unit scaling. This view chain-links only the reinvested
+  // dividends into the TWR.
+  const result = runScenario({
+    investment, returns, divReinvested, divNotReinvested, withdrawals, unitScale: 1,
+    timing: { dividendsInTwr: false }
+  });
+  const { endValues } = result;
+  const { irr, twr, annualGeometric, annualArithmetic } = result.metrics;
+
+  const chartData = endValues.map((value, i) => ({ year: `Year ${i + 1}`, value }));
 
-  for (let i = 1; i < 3; i++) {
-    startValues[i] = endValues[i - 1] + investment[i];
-    gains[i] = startValues[i] * returns[i];
-    endValues[i] =
-      startValues[i] + gains[i] + divReinvested[i] + withdrawals[i];
-  }
+  const rowSetters = [setInvestment, setReturns, setDivReinvested, setDivNotReinvested, setWithdrawals];
 
-  const cashFlows = investment.map((inv, i) =>
-    -inv + divNotReinvested[i] + withdrawals[i]
-  );
-  cashFlows.push(endValues[2]);
+  const addPeriod = () => {
+    rowSetters.forEach((setRow) => setRow((row) => [...row, 0]));
+  };
 
-  const irr = calculateIRR(cashFlows);
-  const twr = calculateTWR(startValues, gains, divReinvested);
-  const annualGeometric = geometricMean(returns);
-  const annualArithmetic = mean(returns);
+  const removePeriod = (index) => {
+    if (investment.length <= 1) return;
+    rowSetters.forEach((setRow) => setRow((row) => row.filter((_, i) => i !== index)));
+  };
 
-  const chartData = [
-    { year: "Year 1", value: endValues[0] },
-    { year: "Year 2", value: endValues[1] },
-    { year: "Year 3", value: endValues[2] },
-  ];
+  const movePeriod = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= investment.length) return;
+    rowSetters.forEach((setRow) => setRow((row) => {
+      const newRow = [...row];
+      [newRow[index], newRow[target]] = [newRow[target], newRow[index]];
+      return newRow;
+    }));
+  };
 
   return (
     <div className="p-4 space-y-4">
       <Card>
         <CardContent className="space-y-2">
           <h2 className="text-lg font-semibold mb-2">Inputs</h2>
-          <div className="grid grid-cols-4 gap-4">
+          <div
+            className="grid gap-4"
+            style={{ gridTemplateColumns: `repeat(${investment.length + 1}, minmax(0, 1fr))` }}
+          >
             <div></div>
-            <div className="font-semibold text-center">Year 1</div>
-            <div className="font-semibold text-center">Year 2</div>
-            <div className="font-semibold text-center">Year 3</div>
+            {investment.map((_, i) => (
+              <div key={"year" + i} className="font-semibold text-center">
+                Year {i + 1}
+                <div className="flex justify-center gap-1 text-xs font-normal">
+                  <button onClick={() => movePeriod(i, -1)} disabled={i === 0}>←</button>
+                  <button onClick={() => removePeriod(i)} disabled={investment.length <= 1}>×</button>
+                  <button onClick={() => movePeriod(i, 1)} disabled={i === investment.length - 1}>→</button>
+                </div>
+              </div>
+            ))}
 
             <label>Investment ($)</label>
             {investment.map((inv, i) => (
@@ -142,6 +118,9 @@ export default function PortfolioReturnSim() {
               }} />
             ))}
           </div>
+          <button className="rounded border border-gray-300 px-3 py-1" onClick={addPeriod}>
+            Add Year
+          </button>
         </CardContent>
       </Card>
 
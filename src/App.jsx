@@ -1,16 +1,75 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect } from "react";
 import {
   ResponsiveContainer,
   LineChart,
   Line,
+  AreaChart,
+  Area,
   BarChart,
   Bar,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
-  Cell
+  Cell,
+  Legend,
+  ReferenceLine,
+  ReferenceDot
 } from "recharts";
+import {
+  IRR_RATE_MIN,
+  IRR_RATE_MAX,
+  BENCHMARK_STATS,
+  AMOUNT_UNITS,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  DEFAULT_FEES,
+  DEFAULT_PRECISION,
+  DEFAULT_TAXES,
+  DEFAULT_TIMING,
+  DEFAULT_UNIT_SCALE,
+  INPUT_ROWS,
+  TIMING_POINTS,
+  applicableMetrics,
+  addYears,
+  createFormatter,
+  drawdownSeries,
+  inputRules,
+  npvAt,
+  runScenario,
+  unitLabel,
+  validateScenario
+} from "./engine/index.js";
+import { csvOmittedSettings, importScenarioCsv, resultToCsv, scenarioToCsv } from "./engine/csv.js";
+import { deriveMetrics } from "./engine/derivations.js";
+import { SPREADSHEET_MIME_TYPE, resultToSpreadsheet } from "./engine/spreadsheet.js";
+import { generatePracticeProblem } from "./engine/practice.js";
+import { decomposeGap } from "./engine/gap.js";
+import { defaultPortfolio, resolveRebalancing } from "./engine/portfolio.js";
+import {
+  DEFAULT_SCENARIO,
+  DEFAULT_SCENARIO_NAME,
+  hasScenarioHash,
+  listScenarios,
+  loadSavedScenario,
+  scenarioFromHash,
+  scenarioToHash
+} from "./scenarios.js";
+import ScenarioLibrary from "./components/ScenarioLibrary.jsx";
+import ScenarioComparison, { COMPARISON_COLORS } from "./components/ScenarioComparison.jsx";
+import MonteCarloPanel from "./components/MonteCarloPanel.jsx";
+import FeeSettings from "./components/FeeSettings.jsx";
+import TaxSettings from "./components/TaxSettings.jsx";
+import RiskPanel from "./components/RiskPanel.jsx";
+import Derivation from "./components/Derivation.jsx";
+import PracticePanel from "./components/PracticePanel.jsx";
+import GapAnalysis from "./components/GapAnalysis.jsx";
+import GoalSeekPanel from "./components/GoalSeekPanel.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import HoldingsEditor from "./components/HoldingsEditor.jsx";
+import PortfolioPanel from "./components/PortfolioPanel.jsx";
+import InputGrid from "./components/InputGrid.jsx";
+import { PAGE_SIZES, ReportFootnotes, ReportHeader, ReportInputs } from "./components/Report.jsx";
 
 function Card({ title, children, className = "" }) {
   return (
@@ -21,53 +80,11 @@ function Card({ title, children, className = "" }) {
   );
 }
 
-function calculateIRR(cashFlows) {
-  // Handle edge cases
-  if (!cashFlows || cashFlows.length < 2) return NaN;
-  if (cashFlows.every(cf => cf === 0)) return NaN;
-  
-  let guess = 0.1;
-  let maxIter = 100;
-  let tol = 1e-6;
-  
-  for (let iter = 0; iter < maxIter; iter++) {
-    let npv = 0;
-    let dnpv = 0;
-    
-    for (let t = 0; t < cashFlows.length; t++) {
-      const denominator = Math.pow(1 + guess, t);
-      if (denominator === 0) return NaN;
-      
-      npv += cashFlows[t] / denominator;
-      dnpv += -t * cashFlows[t] / Math.pow(1 + guess, t + 1);
-    }
-    
-    if (Math.abs(dnpv) < tol) return NaN; // Avoid division by zero
-    
-    const newGuess = guess - npv / dnpv;
-    if (Math.abs(newGuess - guess) < tol) return newGuess;
-    guess = newGuess;
-    
-    // Prevent runaway values
-    if (Math.abs(guess) > 10) return NaN;
-  }
-  return NaN;
-}
-
-function calculateTWR(startValues, gains, totalDividends) {
-  if (!startValues || !gains || !totalDividends) return NaN;
-  if (startValues.length !== gains.length || gains.length !== totalDividends.length) return NaN;
-  
-  const subReturns = startValues.map((start, i) => {
-    if (start <= 0) return 1; // Avoid division by zero
-    const total = start + gains[i] + totalDividends[i];
-    return total / start;
-  });
-  
-  const product = subReturns.reduce((acc, r) => acc * r, 1);
-  if (product <= 0) return NaN;
-  
-  return Math.pow(product, 1 / subReturns.length) - 1;
+// The scenario's portfolio with its rebalancing settings filled in, or a default one to start from
+function editablePortfolio(scenario) {
+  return scenario.portfolio
+    ? { ...scenario.portfolio, rebalancing: resolveRebalancing(scenario.portfolio) }
+    : defaultPortfolio(scenario);
 }
 
 function safeParseFloat(value, fallback = 0) {
@@ -75,164 +92,557 @@ function safeParseFloat(value, fallback = 0) {
   return isNaN(parsed) ? fallback : parsed;
 }
 
-export default function PortfolioReturnSim() {
-  // Default values match SME example (in millions for investments)
-  const [investment, setInvestment] = useState([100, 950, 0]);
-  const [returns, setReturns] = useState([-0.5, 0.35, 0.27]);
-  const [divReinvested, setDivReinvested] = useState([0, 10, 0]);
-  const [divNotReinvested, setDivNotReinvested] = useState([5, 0, 0]);
-  const [withdrawals, setWithdrawals] = useState([0, -350, 0]);
+const DEFAULT_START_DATE = "2021-01-01";
 
-  // Input validation
-  const validateInputs = () => {
-    const errors = [];
-    
-    if (investment.some(inv => inv < 0 || inv > 10000)) {
-      errors.push("Investment amounts must be between 0 and 10,000 million");
-    }
-    if (returns.some(ret => ret < -1 || ret > 5)) {
-      errors.push("Returns must be between -100% and 500%");
-    }
-    if (divReinvested.some(div => div < 0 || div > 1000)) {
-      errors.push("Reinvested dividends must be between 0 and 1,000 million");
-    }
-    if (divNotReinvested.some(div => div < 0 || div > 1000)) {
-      errors.push("Non-reinvested dividends must be between 0 and 1,000 million");
-    }
-    if (withdrawals.some(w => w < -10000 || w > 10000)) {
-      errors.push("Withdrawals must be between -10,000 and 10,000 million");
-    }
-    
-    return errors;
+// Input grid edits kept for undo
+const UNDO_LIMIT = 100;
+
+// Yearly period dates from an inception date, used when a scenario arrives without dates
+function defaultDates(start, count) {
+  const periodEnds = Array.from({ length: count }, (_, i) => addYears(start, i + 1));
+  return {
+    start,
+    periodEnds,
+    investment: Array.from({ length: count }, (_, i) => addYears(start, i)),
+    withdrawal: periodEnds
   };
+}
 
-  const inputErrors = validateInputs();
+function downloadText(filename, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  // Calculations using useMemo for performance
-  const calculations = useMemo(() => {
-    if (inputErrors.length > 0) return null;
+export default function PortfolioReturnSim() {
+  // A shared link (#s=...) takes precedence over the SME example defaults
+  const [initial] = useState(() =>
+    scenarioFromHash(window.location.hash) || { name: DEFAULT_SCENARIO_NAME, scenario: DEFAULT_SCENARIO }
+  );
+  // A link that could not be read or is not a valid scenario leaves the defaults loaded and says so
+  const [linkError, setLinkError] = useState(() =>
+    hasScenarioHash(window.location.hash) && !scenarioFromHash(window.location.hash)
+  );
+  const initialDates = initial.scenario.dates || defaultDates(DEFAULT_START_DATE, initial.scenario.investment.length);
 
-    // Convert investments from millions to actual dollars for calculations
-    const investmentActual = investment.map(inv => inv * 1000000);
-    const divReinvestedActual = divReinvested.map(div => div * 1000000);
-    const divNotReinvestedActual = divNotReinvested.map(div => div * 1000000);
-    const withdrawalsActual = withdrawals.map(w => w * 1000000);
-
-    const startValues = [investmentActual[0]];
-    const gains = [startValues[0] * returns[0]];
-    const endValues = [
-      startValues[0] + gains[0] + divReinvestedActual[0] + withdrawalsActual[0],
-    ];
-
-    for (let i = 1; i < 3; i++) {
-      startValues[i] = endValues[i - 1] + investmentActual[i];
-      gains[i] = startValues[i] * returns[i];
-      endValues[i] =
-        startValues[i] + gains[i] + divReinvestedActual[i] + withdrawalsActual[i];
-    }
+  const [scenarioName, setScenarioName] = useState(initial.name);
+  const [investment, setInvestment] = useState(initial.scenario.investment);
+  const [returns, setReturns] = useState(initial.scenario.returns);
+  const [divReinvested, setDivReinvested] = useState(initial.scenario.divReinvested);
+  const [divNotReinvested, setDivNotReinvested] = useState(initial.scenario.divNotReinvested);
+  const [withdrawals, setWithdrawals] = useState(initial.scenario.withdrawals);
+
+  // Amounts are entered in unitScale currency units (millions by default); currencyCode is the
+  // currency they are in, which is also the local currency of a foreign currency holding
+  const [unitScale, setUnitScale] = useState(initial.scenario.unitScale ?? DEFAULT_UNIT_SCALE);
+  const [currencyCode, setCurrencyCode] = useState(
+    initial.scenario.currency?.local || initial.scenario.currencyCode || DEFAULT_CURRENCY
+  );
+  const [precision, setPrecision] = useState(DEFAULT_PRECISION);
 
-    // Cash flows for IRR calculation (in actual dollars)
-    const cashFlows = [];
-    cashFlows.push(-investmentActual[0] + divNotReinvestedActual[0] + withdrawalsActual[0]);
-    cashFlows.push(-investmentActual[1] + divNotReinvestedActual[1] + withdrawalsActual[1]);
-    cashFlows.push(-investmentActual[2] + divNotReinvestedActual[2] + withdrawalsActual[2]);
-    cashFlows.push(endValues[2]);
+  // Optional benchmark: per-period total returns, kept while disabled so toggling loses nothing
+  const [benchmarkEnabled, setBenchmarkEnabled] = useState(Boolean(initial.scenario.benchmark));
+  const [benchmark, setBenchmark] = useState(
+    initial.scenario.benchmark || initial.scenario.investment.map(() => 0)
+  );
 
-    const totalDividends = divReinvestedActual.map((val, i) => val + divNotReinvestedActual[i]);
+  // Optional inflation series for real returns, kept while disabled like the benchmark
+  const [inflationEnabled, setInflationEnabled] = useState(Boolean(initial.scenario.inflation));
+  const [inflation, setInflation] = useState(
+    initial.scenario.inflation || initial.scenario.investment.map(() => 0)
+  );
+  const [constantDollars, setConstantDollars] = useState(false);
 
-    const irr = calculateIRR(cashFlows);
-    const twr = calculateTWR(startValues, gains, totalDividends);
-    const annualGeometric = Math.pow(
-      returns.reduce((acc, ret) => acc * (1 + ret), 1),
-      1 / returns.length
-    ) - 1;
-    const annualArithmetic = returns.reduce((acc, ret) => acc + ret, 0) / returns.length;
+  // Optional foreign currency: amounts are entered in the local currency (currencyCode), rates are base per local
+  const initialCurrency = initial.scenario.currency;
+  const [currencyEnabled, setCurrencyEnabled] = useState(Boolean(initialCurrency));
+  const [baseCurrency, setBaseCurrency] = useState(initialCurrency?.base || "USD");
+  const [startFxRate, setStartFxRate] = useState(initialCurrency?.startRate ?? 1);
+  const [fxRates, setFxRates] = useState(initialCurrency?.rates || initial.scenario.investment.map(() => 1));
+  const [baseView, setBaseView] = useState(false);
+
+  // Optional fees and taxes, kept while disabled like the benchmark
+  const [feesEnabled, setFeesEnabled] = useState(Boolean(initial.scenario.fees));
+  const [fees, setFees] = useState(initial.scenario.fees || DEFAULT_FEES);
+  const [taxesEnabled, setTaxesEnabled] = useState(Boolean(initial.scenario.taxes));
+  const [taxes, setTaxes] = useState(initial.scenario.taxes || DEFAULT_TAXES);
+
+  // When each flow happens within its year, and whether paid-out dividends count toward the TWR
+  const [timing, setTiming] = useState({ ...DEFAULT_TIMING, ...initial.scenario.timing });
+
+  // Optional holdings analysed as a multi-holding portfolio, kept while disabled
+  const [portfolioEnabled, setPortfolioEnabled] = useState(Boolean(initial.scenario.portfolio));
+  const [portfolio, setPortfolio] = useState(() => editablePortfolio(initial.scenario));
+
+  // Dated mode: actual dates for period ends and for the flows inside each period
+  const [datedMode, setDatedMode] = useState(Boolean(initial.scenario.dates));
+  const [startDate, setStartDate] = useState(initialDates.start);
+  const [periodEndDates, setPeriodEndDates] = useState(initialDates.periodEnds);
+  const [investmentDates, setInvestmentDates] = useState(initialDates.investment);
+  const [withdrawalDates, setWithdrawalDates] = useState(initialDates.withdrawal);
+
+  const scenario = useMemo(() => ({
+    unitScale,
+    currencyCode,
+    investment,
+    returns,
+    divReinvested,
+    divNotReinvested,
+    withdrawals,
+    benchmark: benchmarkEnabled ? benchmark : null,
+    inflation: inflationEnabled ? inflation : null,
+    currency: currencyEnabled
+      ? { local: currencyCode, base: baseCurrency, startRate: startFxRate, rates: fxRates }
+      : null,
+    fees: feesEnabled ? fees : null,
+    taxes: taxesEnabled ? taxes : null,
+    timing,
+    portfolio: portfolioEnabled ? portfolio : null,
+    dates: datedMode
+      ? { start: startDate, periodEnds: periodEndDates, investment: investmentDates, withdrawal: withdrawalDates }
+      : null
+  }), [
+    unitScale, currencyCode, investment, returns, divReinvested, divNotReinvested, withdrawals,
+    benchmarkEnabled, benchmark, inflationEnabled, inflation,
+    currencyEnabled, baseCurrency, startFxRate, fxRates, feesEnabled, fees, taxesEnabled, taxes, timing, portfolioEnabled, portfolio, datedMode, startDate, periodEndDates, investmentDates, withdrawalDates
+  ]);
+
+  // Keep the URL in sync so the address bar is always a shareable link to the current inputs
+  useEffect(() => {
+    window.history.replaceState(null, "", scenarioToHash(scenarioName, scenario));
+  }, [scenarioName, scenario]);
+
+  // Input validation
+  const inputErrors = useMemo(() => validateScenario(scenario), [scenario]);
+  // Settings the inputs CSV export leaves out, named next to the export button
+  const csvOmitted = csvOmittedSettings(scenario);
+
+  // Calculations using useMemo for performance
+  const calculations = useMemo(() => {
+    if (inputErrors.length > 0) return null;
 
     return {
-      startValues,
-      gains,
-      endValues,
-      cashFlows,
-      totalDividends,
-      irr,
-      twr,
-      annualGeometric,
-      annualArithmetic,
+      ...runScenario(scenario),
       // Store original inputs for display
       investmentDisplay: investment,
       divReinvestedDisplay: divReinvested,
       divNotReinvestedDisplay: divNotReinvested,
       withdrawalsDisplay: withdrawals
     };
-  }, [investment, returns, divReinvested, divNotReinvested, withdrawals, inputErrors]);
+  }, [scenario, inputErrors]);
+
+  // Display views: an amount at time t is converted at the exchange rate at t (base currency)
+  // and divided by the price level at t (constant Year 0 dollars)
+  const realView = constantDollars && Boolean(calculations?.inflation);
+  const showBase = baseView && Boolean(calculations?.currency);
+  const displayFactor = t =>
+    (showBase ? calculations.currency.rates[t] ?? NaN : 1) / (realView ? calculations.inflation.priceIndex[t] ?? NaN : 1);
+  const detail = useMemo(() => {
+    if (!realView && !showBase) return calculations;
+    const atStart = values => values.map((value, i) => value * displayFactor(i));
+    const atEnd = values => values.map((value, i) => value * displayFactor(i + 1));
+    const allAtEnd = group => group && Object.fromEntries(Object.entries(group).map(([key, values]) => [key, atEnd(values)]));
+    return {
+      ...calculations,
+      investmentDisplay: atStart(calculations.investmentDisplay),
+      startValues: atStart(calculations.startValues),
+      gains: atEnd(calculations.gains),
+      divNotReinvestedDisplay: atEnd(calculations.divNotReinvestedDisplay),
+      divReinvestedDisplay: atEnd(calculations.divReinvestedDisplay),
+      withdrawalsDisplay: atEnd(calculations.withdrawalsDisplay),
+      endValues: atEnd(calculations.endValues),
+      cashFlows: atStart(calculations.cashFlows),
+      midPeriodCashFlows: calculations.midPeriodCashFlows.map((value, i) => value * Math.sqrt(displayFactor(i) * displayFactor(i + 1))),
+      fees: allAtEnd(calculations.fees),
+      taxes: allAtEnd(calculations.taxes)
+    };
+  }, [calculations, realView, showBase]);
+
+  const shownCurrency = calculations?.currency ? (showBase ? calculations.currency.base : calculations.currency.local) : null;
+
+  // Every number on screen goes through this formatter, in the browser's locale
+  const format = useMemo(
+    () => createFormatter({ currency: shownCurrency || currencyCode, unitScale, precision }),
+    [shownCurrency, currencyCode, unitScale, precision]
+  );
+  const amountsIn = unitLabel(unitScale, currencyCode);
+  const rules = useMemo(() => inputRules(unitScale), [unitScale]);
+  const showRate = value => (isNaN(value) ? 'Unable to calculate' : format.percent(value));
+  const rangeHint = ({ min, max }) => `(${format.number(min, 0)} to ${format.number(max, 0)})`;
+
+  // Comparison mode: snapshots of other scenarios shown next to the live inputs
+  const [comparisonMode, setComparisonMode] = useState(false);
+  const [pinned, setPinned] = useState([]);
+
+  const comparisons = useMemo(() => {
+    if (!comparisonMode) return [];
+    return pinned.map((entry, k) => ({
+      ...entry,
+      color: COMPARISON_COLORS[k % COMPARISON_COLORS.length],
+      result: validateScenario(entry.scenario).length === 0 ? runScenario(entry.scenario) : null
+    }));
+  }, [comparisonMode, pinned]);
+
+  const comparing = comparisons.length > 0;
+
+  const [simulationMode, setSimulationMode] = useState(false);
+
+  // Goal seek: solve one input cell for a target metric
+  const [goalSeekMode, setGoalSeekMode] = useState(false);
+
+  // Sensitivity of the IRR and TWR to each input
+  const [sensitivityMode, setSensitivityMode] = useState(false);
+
+  // Practice mode hides every result and quizzes the user on a generated scenario
+  const [practiceMode, setPracticeMode] = useState(false);
+  const [practiceQuestions, setPracticeQuestions] = useState([]);
+
+  // Report view: a read-only, print-ready layout of the analysis
+  const [reportMode, setReportMode] = useState(false);
+  const [pageSize, setPageSize] = useState("A4");
+
+  const pinScenario = (name, pinnedScenario) => {
+    setPinned([...pinned, { id: `${Date.now()}-${pinned.length}`, name, scenario: pinnedScenario }]);
+  };
 
   const chartData = useMemo(() => {
     if (!calculations) return [];
-    return [
-      { year: "Year 1", yearLabel: "1", value: calculations.endValues[0] },
-      { year: "Year 2", yearLabel: "2", value: calculations.endValues[1] },
-      { year: "Year 3", yearLabel: "3", value: calculations.endValues[2] },
-    ];
+    const length = Math.max(
+      calculations.periodCount,
+      ...comparisons.map(c => (c.result ? c.result.periodCount : 0))
+    );
+    // Every line uses the live scenario's rates and price index so they share one yardstick
+    return Array.from({ length }, (_, i) => {
+      const row = { year: `Year ${i + 1}`, yearLabel: `${i + 1}`, value: calculations.endValues[i] * displayFactor(i + 1) };
+      if (calculations.benchmark) row.benchmark = calculations.benchmark.wealth[i] * displayFactor(i + 1);
+      comparisons.forEach((c, k) => {
+        if (c.result) row[`cmp${k}`] = c.result.endValues[i] * displayFactor(i + 1);
+      });
+      return row;
+    });
+  }, [calculations, comparisons, realView, showBase]);
+
+  // "Show work" steps for the summary metrics
+  const derivations = useMemo(
+    () => (calculations && !reportMode ? deriveMetrics(scenario, calculations) : {}),
+    [scenario, calculations, reportMode]
+  );
+
+  // MWR − TWR gap broken down by contribution and withdrawal; hidden in practice mode with the answers
+  const gapDecomposition = useMemo(
+    () => (calculations && !practiceMode ? decomposeGap(scenario, calculations) : null),
+    [scenario, calculations, practiceMode]
+  );
+
+  // Drawdown of the balance at t = 0..n from its running peak
+  const drawdownData = useMemo(() => {
+    if (!calculations) return [];
+    const balances = [calculations.startValues[0], ...calculations.endValues];
+    return drawdownSeries(balances).map((drawdown, t) => ({ yearLabel: `${t}`, drawdown: drawdown * 100 }));
   }, [calculations]);
 
-  const metricsData = useMemo(() => {
+  // NPV of the money-weighted cash flows across discount rates, widened to include every root
+  const npvProfileData = useMemo(() => {
     if (!calculations) return [];
-    return [
-      { 
-        name: "Money-Weighted Return (IRR)", 
-        shortName: "MWR",
-        value: calculations.irr * 100,
-        isValid: !isNaN(calculations.irr)
-      },
-      { 
-        name: "Time-Weighted Return", 
-        shortName: "TWR",
-        value: calculations.twr * 100,
-        isValid: !isNaN(calculations.twr)
-      },
-      { 
-        name: "Geometric Mean (Price Only)", 
-        shortName: "Geom. Mean",
-        value: calculations.annualGeometric * 100,
-        isValid: !isNaN(calculations.annualGeometric)
-      },
-      { 
-        name: "Arithmetic Mean (Price Only)", 
-        shortName: "Arith. Mean",
-        value: calculations.annualArithmetic * 100,
-        isValid: !isNaN(calculations.annualArithmetic)
-      },
-    ];
+    const { flows, roots } = calculations.irrAnalysis;
+    const lo = Math.max(-0.95, Math.min(-0.5, ...roots.map(r => r - 0.1)));
+    const hi = Math.min(IRR_RATE_MAX, Math.max(1, ...roots.map(r => r + 0.2)));
+    const points = 120;
+    return Array.from({ length: points + 1 }, (_, k) => {
+      const rate = lo + (hi - lo) * k / points;
+      return { rate: rate * 100, npv: npvAt(flows, rate) };
+    });
   }, [calculations]);
 
-  const updateInvestment = (index, value) => {
-    const newInv = [...investment];
-    newInv[index] = safeParseFloat(value);
-    setInvestment(newInv);
+  const shownMetrics = useMemo(
+    () => applicableMetrics(scenario, ...comparisons.map(c => c.scenario)),
+    [scenario, comparisons]
+  );
+
+  // Invalid (NaN) values become null so Recharts leaves a gap in grouped comparison bars
+  const metricsData = useMemo(() => {
+    if (!calculations) return [];
+    const toPercent = value => (isNaN(value) ? null : value * 100);
+    return shownMetrics.map(metric => {
+      const row = {
+        name: metric.name,
+        shortName: metric.shortName,
+        value: toPercent(calculations.metrics[metric.key]),
+        isValid: !isNaN(calculations.metrics[metric.key])
+      };
+      comparisons.forEach((c, k) => {
+        const value = c.result ? toPercent(c.result.metrics[metric.key]) : null;
+        row[`cmp${k}`] = value;
+        row.isValid = row.isValid || value !== null;
+      });
+      return row;
+    });
+  }, [calculations, comparisons, shownMetrics]);
+
+  // Undo history for the input grid: snapshots of every grid row taken before each edit. Changing
+  // the number or order of years clears it, since older snapshots no longer line up with the columns.
+  const [history, setHistory] = useState({ past: [], future: [] });
+  // Holdings contribute their input rows only; names and rebalancing settings are not undone
+  const gridValues = {
+    investment, returns, divReinvested, divNotReinvested, withdrawals, benchmark, inflation, fxRates,
+    holdings: portfolio.holdings.map(holding => Object.fromEntries(INPUT_ROWS.map(row => [row, holding[row]])))
+  };
+  const gridSetters = {
+    investment: setInvestment,
+    returns: setReturns,
+    divReinvested: setDivReinvested,
+    divNotReinvested: setDivNotReinvested,
+    withdrawals: setWithdrawals,
+    benchmark: setBenchmark,
+    inflation: setInflation,
+    fxRates: setFxRates,
+    holdings: rows => setPortfolio(current => ({
+      ...current,
+      holdings: current.holdings.map((holding, k) => ({ ...holding, ...rows[k] }))
+    }))
+  };
+  const setGridRows = rows => Object.entries(rows).forEach(([key, values]) => gridSetters[key](values));
+
+  // Further typing in the same cell (continuing) joins the undo step its first keystroke started
+  const editGrid = (changes, { continuing }) => {
+    if (!continuing) {
+      setHistory({ past: [...history.past, gridValues].slice(-UNDO_LIMIT), future: [] });
+    }
+    setGridRows(changes);
   };
 
-  const updateReturns = (index, value) => {
-    const newRet = [...returns];
-    newRet[index] = safeParseFloat(value);
-    setReturns(newRet);
+  const undo = () => {
+    if (history.past.length === 0) return;
+    setHistory({ past: history.past.slice(0, -1), future: [gridValues, ...history.future] });
+    setGridRows(history.past[history.past.length - 1]);
   };
 
-  const updateDivReinvested = (index, value) => {
-    const newDiv = [...divReinvested];
-    newDiv[index] = safeParseFloat(value);
-    setDivReinvested(newDiv);
+  const redo = () => {
+    if (history.future.length === 0) return;
+    setHistory({ past: [...history.past, gridValues], future: history.future.slice(1) });
+    setGridRows(history.future[0]);
+  };
+
+  const clearHistory = () => setHistory({ past: [], future: [] });
+
+  const editHoldingRows = (index, changes, options) => {
+    editGrid({ holdings: gridValues.holdings.map((rows, k) => (k === index ? { ...rows, ...changes } : rows)) }, options);
   };
 
-  const updateDivNotReinvested = (index, value) => {
-    const newDiv = [...divNotReinvested];
-    newDiv[index] = safeParseFloat(value);
-    setDivNotReinvested(newDiv);
+  // Adding or removing a holding clears the undo history, like adding or removing a year
+  const resizePortfolio = (next) => {
+    clearHistory();
+    setPortfolio(next);
+  };
+
+  const rangeLabel = (name, hint) => <>{name} <span className="text-gray-500 font-normal">{hint}</span></>;
+  const gridRows = [
+    {
+      key: "investment",
+      id: "investment",
+      label: rangeLabel(`Investment (${amountsIn})`, rangeHint(rules.investment)),
+      help: i => `Enter investment amount for year ${i + 1} in ${amountsIn}`
+    },
+    {
+      key: "returns",
+      percent: true,
+      id: "return",
+      label: rangeLabel("Return (decimal)", "(-1 to 5)"),
+      help: i => `Enter return rate for year ${i + 1} as decimal (e.g., 0.10 for 10%)`
+    },
+    {
+      key: "divReinvested",
+      id: "div-reinvested",
+      label: rangeLabel(`Dividend Reinvested (${amountsIn})`, rangeHint(rules.divReinvested)),
+      help: i => `Enter reinvested dividend amount for year ${i + 1} in ${amountsIn}`
+    },
+    {
+      key: "divNotReinvested",
+      id: "div-not-reinvested",
+      label: rangeLabel(`Dividend Not Reinvested (${amountsIn})`, rangeHint(rules.divNotReinvested)),
+      help: i => `Enter non-reinvested dividend amount for year ${i + 1} in ${amountsIn}`
+    },
+    {
+      key: "withdrawals",
+      id: "withdrawal",
+      label: rangeLabel(`Withdrawal (${amountsIn})`, rangeHint(rules.withdrawals)),
+      help: i => `Enter withdrawal amount for year ${i + 1} in ${amountsIn} (negative to take money out, positive for an additional contribution)`
+    },
+    benchmarkEnabled && {
+      key: "benchmark",
+      percent: true,
+      id: "benchmark",
+      label: rangeLabel("Benchmark Return (decimal)", "(-1 to 5)"),
+      help: i => `Enter the benchmark total return for year ${i + 1} as decimal (e.g., 0.10 for 10%)`
+    },
+    inflationEnabled && {
+      key: "inflation",
+      percent: true,
+      id: "inflation",
+      label: rangeLabel("Inflation (decimal)", "(-0.5 to 1)"),
+      help: i => `Enter the inflation rate for year ${i + 1} as decimal (e.g., 0.03 for 3%)`
+    },
+    currencyEnabled && {
+      key: "fxRates",
+      id: "fx-rate",
+      label: rangeLabel("Exchange Rate at Year End", `(${baseCurrency} per ${currencyCode})`),
+      help: i => `Enter the ${baseCurrency} value of one ${currencyCode} at the end of year ${i + 1}`
+    }
+  ].filter(Boolean).map(row => ({ ...row, values: gridValues[row.key] }));
+
+  // Period management: every input row must stay the same length and order
+  const periodCount = investment.length;
+  const periodIndices = investment.map((_, i) => i);
+  // Applies the same change to every input row of every holding
+  const setHoldingRows = update => setPortfolio(current => ({
+    ...current,
+    holdings: current.holdings.map(holding => ({
+      ...holding,
+      ...Object.fromEntries(INPUT_ROWS.map(row => [row, update(holding[row])]))
+    }))
+  }));
+  const rowSetters = [setInvestment, setReturns, setDivReinvested, setDivNotReinvested, setWithdrawals, setBenchmark, setInflation, setFxRates, setHoldingRows];
+
+  const dateRowSetters = [setPeriodEndDates, setInvestmentDates, setWithdrawalDates];
+
+  const addPeriod = () => {
+    clearHistory();
+    rowSetters.filter(setRow => setRow !== setFxRates).forEach(setRow => setRow(row => [...row, 0]));
+    // A new year starts at the last exchange rate rather than zero
+    setFxRates(rates => [...rates, rates.length > 0 ? rates[rates.length - 1] : startFxRate]);
+    const lastEnd = periodEndDates[periodEndDates.length - 1] || startDate;
+    const newEnd = addYears(lastEnd, 1);
+    setPeriodEndDates([...periodEndDates, newEnd]);
+    setInvestmentDates([...investmentDates, lastEnd]);
+    setWithdrawalDates([...withdrawalDates, newEnd]);
   };
 
-  const updateWithdrawals = (index, value) => {
-    const newWith = [...withdrawals];
-    newWith[index] = safeParseFloat(value);
-    setWithdrawals(newWith);
+  // Dates belong to the period slot, so removing a period drops its dates but reordering keeps them
+  const removePeriod = (index) => {
+    if (periodCount <= 1) return;
+    clearHistory();
+    [...rowSetters, ...dateRowSetters].forEach(setRow => setRow(row => row.filter((_, i) => i !== index)));
+  };
+
+  const updateDate = (setRow, index, value) => {
+    setRow(row => row.map((d, i) => (i === index ? value : d)));
+  };
+
+  const movePeriod = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= periodCount) return;
+    clearHistory();
+    rowSetters.forEach(setRow => setRow(row => {
+      const newRow = [...row];
+      [newRow[index], newRow[target]] = [newRow[target], newRow[index]];
+      return newRow;
+    }));
+  };
+
+  // A new unit re-expresses the same amounts, so every result stays the same
+  // (rounded to 12 significant digits so 0.1 million becomes 100 thousand, not 100.00000000000001)
+  const changeUnit = (next) => {
+    clearHistory();
+    const rescale = value => Number((value * unitScale / next).toPrecision(12));
+    const convert = values => values.map(rescale);
+    setInvestment(convert(investment));
+    setDivReinvested(convert(divReinvested));
+    setDivNotReinvested(convert(divNotReinvested));
+    setWithdrawals(convert(withdrawals));
+    setFees({ ...fees, transactionFee: rescale(fees.transactionFee) });
+    setPortfolio({
+      ...portfolio,
+      holdings: portfolio.holdings.map(holding => ({
+        ...holding,
+        investment: convert(holding.investment),
+        divReinvested: convert(holding.divReinvested),
+        divNotReinvested: convert(holding.divNotReinvested),
+        withdrawals: convert(holding.withdrawals)
+      }))
+    });
+    setUnitScale(next);
+  };
+
+  // Replaces every input with the given scenario (CSV import, library, pasted link)
+  const loadScenario = (next) => {
+    clearHistory();
+    setUnitScale(next.unitScale ?? DEFAULT_UNIT_SCALE);
+    setCurrencyCode(next.currency?.local || next.currencyCode || DEFAULT_CURRENCY);
+    setInvestment(next.investment);
+    setReturns(next.returns);
+    setDivReinvested(next.divReinvested);
+    setDivNotReinvested(next.divNotReinvested);
+    setWithdrawals(next.withdrawals);
+    setBenchmarkEnabled(Boolean(next.benchmark));
+    setBenchmark(next.benchmark || next.investment.map(() => 0));
+    setInflationEnabled(Boolean(next.inflation));
+    setInflation(next.inflation || next.investment.map(() => 0));
+    setCurrencyEnabled(Boolean(next.currency));
+    if (next.currency) {
+      setBaseCurrency(next.currency.base);
+      setStartFxRate(next.currency.startRate);
+    }
+    setFxRates(next.currency ? next.currency.rates : next.investment.map(() => 1));
+    setFeesEnabled(Boolean(next.fees));
+    if (next.fees) setFees(next.fees);
+    setTaxesEnabled(Boolean(next.taxes));
+    if (next.taxes) setTaxes(next.taxes);
+    setTiming({ ...DEFAULT_TIMING, ...next.timing });
+    setPortfolioEnabled(Boolean(next.portfolio));
+    setPortfolio(editablePortfolio(next));
+
+    const dates = next.dates || defaultDates(startDate, next.investment.length);
+    setDatedMode(Boolean(next.dates));
+    setStartDate(dates.start);
+    setPeriodEndDates(dates.periodEnds);
+    setInvestmentDates(dates.investment);
+    setWithdrawalDates(dates.withdrawal);
+  };
+
+  // Follow links pasted into the address bar of an already open tab
+  useEffect(() => {
+    const onHashChange = () => {
+      const shared = scenarioFromHash(window.location.hash);
+      setLinkError(hasScenarioHash(window.location.hash) && !shared);
+      if (shared) {
+        setScenarioName(shared.name);
+        loadScenario(shared.scenario);
+      }
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  });
+
+  const [importErrors, setImportErrors] = useState([]);
+
+  const importCsv = async (file) => {
+    if (!file) return;
+    // A dated file without a start_date column starts at the app's start date; a unit_scale column
+    // overrides the app's unit
+    const { scenario: imported, errors } = importScenarioCsv(await file.text(), { startDate, unitScale });
+    setImportErrors(errors);
+    if (errors.length === 0) loadScenario(imported);
+  };
+
+  const newPracticeProblem = () => {
+    const problem = generatePracticeProblem(Date.now());
+    setScenarioName("Practice problem");
+    loadScenario(problem.scenario);
+    setPracticeQuestions(problem.questions);
+  };
+
+  const togglePractice = (enabled) => {
+    setPracticeMode(enabled);
+    if (enabled) newPracticeProblem();
+  };
+
+  // The report shows every result, so it ends the practice session
+  const openReport = () => {
+    setPracticeMode(false);
+    setReportMode(true);
   };
 
   const CustomTooltip = ({ active, payload, label }) => {
@@ -240,9 +650,9 @@ export default function PortfolioReturnSim() {
       return (
         <div className="bg-white p-3 border rounded shadow">
           <p className="font-medium">{`Year: ${label}`}</p>
-          {payload.map((entry, index) => (
+          {payload.filter(entry => typeof entry.value === "number").map((entry, index) => (
             <p key={index} style={{ color: entry.color }}>
-              {`${entry.name}: $${entry.value.toFixed(2)}`}
+              {`${entry.name}: ${format.money(entry.value)}`}
             </p>
           ))}
         </div>
@@ -252,153 +662,514 @@ export default function PortfolioReturnSim() {
   };
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      <main className="max-w-6xl mx-auto px-4">
-        <Card title="Portfolio Return Analysis: IRR vs TWR" className="w-full">
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      <main
+        className={reportMode ? "mx-auto py-6 print:py-0" : "max-w-6xl mx-auto px-4"}
+        style={reportMode ? { width: PAGE_SIZES[pageSize].contentWidth } : undefined}
+      >
+        <Card title="Portfolio Return Analysis: IRR vs TWR" className="w-full print:shadow-none">
+          {reportMode ? (
+            <ReportHeader
+              name={scenarioName}
+              pageSize={pageSize}
+              onPageSizeChange={setPageSize}
+              onClose={() => setReportMode(false)}
+            />
+          ) : (
+            <>
+              <ScenarioLibrary
+                name={scenarioName}
+                onNameChange={setScenarioName}
+                scenario={scenario}
+                onLoad={(name, saved) => {
+                  setScenarioName(name);
+                  loadScenario(saved);
+                }}
+              />
+
+              <div className="mb-6 flex flex-wrap items-center gap-2 text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={comparisonMode}
+                    onChange={e => setComparisonMode(e.target.checked)}
+                  />
+                  Compare scenarios
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={simulationMode}
+                    onChange={e => setSimulationMode(e.target.checked)}
+                  />
+                  Monte Carlo simulation
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={goalSeekMode}
+                    onChange={e => setGoalSeekMode(e.target.checked)}
+                  />
+                  Goal seek
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={sensitivityMode}
+                    onChange={e => setSensitivityMode(e.target.checked)}
+                  />
+                  Sensitivity analysis
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={practiceMode}
+                    onChange={e => togglePractice(e.target.checked)}
+                  />
+                  Practice mode
+                </label>
+                <button
+                  type="button"
+                  onClick={openReport}
+                  className="rounded border border-gray-300 px-3 py-1 hover:bg-gray-50"
+                >
+                  Report View
+                </button>
+                {comparisonMode && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => pinScenario(`${scenarioName} (pinned)`, scenario)}
+                      className="rounded border border-gray-300 px-3 py-1 hover:bg-gray-50"
+                    >
+                      Pin Current Inputs
+                    </button>
+                    <select
+                      value=""
+                      onChange={e => {
+                        const saved = loadSavedScenario(e.target.value);
+                        if (saved) pinScenario(saved.name, saved.scenario);
+                      }}
+                      className="rounded border px-2 py-1"
+                      aria-label="Add a saved scenario to the comparison"
+                    >
+                      <option value="">Add saved scenario…</option>
+                      {listScenarios().map(entry => (
+                        <option key={entry.id} value={entry.id}>{entry.name}</option>
+                      ))}
+                    </select>
+                    {!comparing && (
+                      <span className="text-xs text-gray-600">
+                        Pin the current inputs, then edit them to compare the two side by side.
+                      </span>
+                    )}
+                  </>
+                )}
+              </div>
+            </>
+          )}
+
+          {practiceMode && (
+            <PracticePanel questions={practiceQuestions} result={calculations} format={format} onNewProblem={newPracticeProblem} />
+          )}
+
           {/* Input Section */}
-          <div className="mb-6">
-            <h3 className="font-serif text-lg text-slate-700 mb-4">Input Parameters</h3>
-            <div className="overflow-x-auto">
-              <table className="w-full border-collapse border border-gray-300 text-sm">
-                <caption className="sr-only">
-                  Portfolio parameters for 3-year investment analysis including investments, returns, dividends, and withdrawals
-                </caption>
-                <thead>
-                  <tr className="bg-gray-50">
-                    <th scope="col" className="border border-gray-300 px-3 py-2 text-left font-semibold">
-                      Parameter
-                    </th>
-                    <th scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
-                      Year 1
-                    </th>
-                    <th scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
-                      Year 2
-                    </th>
-                    <th scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
-                      Year 3
-                    </th>
-                  </tr>
-                </thead>
-                <tbody>
-                  <tr>
-                    <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
-                      Investment (in Millions) <span className="text-gray-500 font-normal">(0 - 10,000)</span>
-                    </th>
-                    {[0, 1, 2].map(i => (
-                      <td key={`inv-${i}`} className="border border-gray-300 px-2 py-2">
-                        <input
-                          id={`investment-${i}`}
-                          type="number"
-                          min="0"
-                          max="10000"
-                          step="1"
-                          value={investment[i]}
-                          onChange={e => updateInvestment(i, e.target.value)}
-                          className="w-full rounded border px-2 py-1 text-center"
-                          aria-describedby={`investment-help-${i}`}
-                        />
-                        <span id={`investment-help-${i}`} className="sr-only">
-                          Enter investment amount for year {i + 1} in millions of dollars
-                        </span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr>
-                    <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
-                      Return (decimal) <span className="text-gray-500 font-normal">(-1 to 5)</span>
-                    </th>
-                    {[0, 1, 2].map(i => (
-                      <td key={`ret-${i}`} className="border border-gray-300 px-2 py-2">
-                        <input
-                          id={`return-${i}`}
-                          type="number"
-                          min="-1"
-                          max="5"
-                          step="0.01"
-                          value={returns[i]}
-                          onChange={e => updateReturns(i, e.target.value)}
-                          className="w-full rounded border px-2 py-1 text-center"
-                          aria-describedby={`return-help-${i}`}
-                        />
-                        <span id={`return-help-${i}`} className="sr-only">
-                          Enter return rate for year {i + 1} as decimal (e.g., 0.10 for 10%)
-                        </span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr>
-                    <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
-                      Dividend Reinvested (in Millions) <span className="text-gray-500 font-normal">(0 - 1,000)</span>
-                    </th>
-                    {[0, 1, 2].map(i => (
-                      <td key={`divr-${i}`} className="border border-gray-300 px-2 py-2">
+          {reportMode ? (
+            <ReportInputs scenario={scenario} format={format} />
+          ) : (
+            <>
+              <div className="mb-6">
+                <h3 className="font-serif text-lg text-slate-700 mb-4">Input Parameters</h3>
+                <div className="mb-4 flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-2">
+                    Amounts in
+                    <select
+                      value={unitScale}
+                      onChange={e => changeUnit(Number(e.target.value))}
+                      className="rounded border px-2 py-1"
+                    >
+                      {AMOUNT_UNITS.map(unit => (
+                        <option key={unit.scale} value={unit.scale}>{unit.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    {currencyEnabled ? "Local currency" : "Currency"}
+                    <select
+                      value={currencyCode}
+                      onChange={e => setCurrencyCode(e.target.value)}
+                      className="rounded border px-2 py-1"
+                    >
+                      {(CURRENCIES.includes(currencyCode) ? CURRENCIES : [currencyCode, ...CURRENCIES]).map(code => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {[["amount", "Amount decimals"], ["percent", "Percent decimals"]].map(([key, label]) => (
+                    <label key={key} className="flex items-center gap-2">
+                      {label}
+                      <select
+                        value={precision[key]}
+                        onChange={e => setPrecision({ ...precision, [key]: Number(e.target.value) })}
+                        className="rounded border px-2 py-1"
+                      >
+                        {[0, 1, 2, 3, 4].map(digits => (
+                          <option key={digits} value={digits}>{digits}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div className="mb-4 flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={datedMode}
+                      onChange={e => setDatedMode(e.target.checked)}
+                    />
+                    Use actual dates for cash flows (XIRR, actual/365)
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={benchmarkEnabled}
+                      onChange={e => setBenchmarkEnabled(e.target.checked)}
+                    />
+                    Compare against a benchmark
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={inflationEnabled}
+                      onChange={e => setInflationEnabled(e.target.checked)}
+                    />
+                    Adjust for inflation
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={feesEnabled}
+                      onChange={e => setFeesEnabled(e.target.checked)}
+                    />
+                    Apply fees
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={taxesEnabled}
+                      onChange={e => setTaxesEnabled(e.target.checked)}
+                    />
+                    After-tax returns
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={currencyEnabled}
+                      onChange={e => setCurrencyEnabled(e.target.checked)}
+                    />
+                    Foreign currency holding
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={portfolioEnabled}
+                      onChange={e => setPortfolioEnabled(e.target.checked)}
+                    />
+                    Multiple holdings
+                  </label>
+                  {datedMode && (
+                    <label className="flex items-center gap-2">
+                      Start date
+                      <input
+                        type="date"
+                        value={startDate}
+                        onChange={e => setStartDate(e.target.value)}
+                        className="rounded border px-2 py-1"
+                      />
+                    </label>
+                  )}
+                  {currencyEnabled && (
+                    <>
+                      <label className="flex items-center gap-2">
+                        Base currency
                         <input
-                          id={`div-reinvested-${i}`}
-                          type="number"
-                          min="0"
-                          max="1000"
-                          step="0.1"
-                          value={divReinvested[i]}
-                          onChange={e => updateDivReinvested(i, e.target.value)}
-                          className="w-full rounded border px-2 py-1 text-center"
-                          aria-describedby={`div-reinvested-help-${i}`}
+                          type="text"
+                          maxLength={3}
+                          value={baseCurrency}
+                          onChange={e => setBaseCurrency(e.target.value.toUpperCase())}
+                          className="w-16 rounded border px-2 py-1 text-center"
                         />
-                        <span id={`div-reinvested-help-${i}`} className="sr-only">
-                          Enter reinvested dividend amount for year {i + 1} in millions of dollars
-                        </span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr>
-                    <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
-                      Dividend Not Reinvested (in Millions) <span className="text-gray-500 font-normal">(0 - 1,000)</span>
-                    </th>
-                    {[0, 1, 2].map(i => (
-                      <td key={`divn-${i}`} className="border border-gray-300 px-2 py-2">
+                      </label>
+                      <label className="flex items-center gap-2">
+                        Rate at inception ({baseCurrency} per {currencyCode})
                         <input
-                          id={`div-not-reinvested-${i}`}
                           type="number"
                           min="0"
-                          max="1000"
-                          step="0.1"
-                          value={divNotReinvested[i]}
-                          onChange={e => updateDivNotReinvested(i, e.target.value)}
-                          className="w-full rounded border px-2 py-1 text-center"
-                          aria-describedby={`div-not-reinvested-help-${i}`}
-                        />
-                        <span id={`div-not-reinvested-help-${i}`} className="sr-only">
-                          Enter non-reinvested dividend amount for year {i + 1} in millions of dollars
-                        </span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr>
-                    <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
-                      Withdrawal (in Millions) <span className="text-gray-500 font-normal">(-10,000 to 10,000)</span>
-                    </th>
-                    {[0, 1, 2].map(i => (
-                      <td key={`with-${i}`} className="border border-gray-300 px-2 py-2">
-                        <input
-                          id={`withdrawal-${i}`}
-                          type="number"
-                          min="-10000"
-                          max="10000"
-                          step="0.1"
-                          value={withdrawals[i]}
-                          onChange={e => updateWithdrawals(i, e.target.value)}
-                          className="w-full rounded border px-2 py-1 text-center"
-                          aria-describedby={`withdrawal-help-${i}`}
+                          step="0.01"
+                          value={startFxRate}
+                          onChange={e => setStartFxRate(safeParseFloat(e.target.value))}
+                          className="w-24 rounded border px-2 py-1 text-center"
                         />
-                        <span id={`withdrawal-help-${i}`} className="sr-only">
-                          Enter withdrawal amount for year {i + 1} in millions (negative for additional contributions)
-                        </span>
-                      </td>
-                    ))}
-                  </tr>
-                </tbody>
-              </table>
-            </div>
-          </div>
+                      </label>
+                    </>
+                  )}
+                </div>
+                <div className="mb-4 flex flex-wrap items-center gap-4 text-sm">
+                  {[["investment", "New investment"], ["withdrawal", "Withdrawal"], ["dividend", "Dividend not reinvested"]].map(([flow, label]) => (
+                    <label key={flow} className="flex items-center gap-2">
+                      {label} at
+                      <select
+                        value={timing[flow]}
+                        onChange={e => setTiming({ ...timing, [flow]: e.target.value })}
+                        className="rounded border px-2 py-1"
+                      >
+                        {Object.entries(TIMING_POINTS).map(([key, point]) => (
+                          <option key={key} value={key}>{point.name.toLowerCase()} of year</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={timing.dividendsInTwr}
+                      onChange={e => setTiming({ ...timing, dividendsInTwr: e.target.checked })}
+                    />
+                    Count paid-out dividends in the TWR
+                  </label>
+                  {datedMode && (
+                    <span className="text-xs text-gray-600">
+                      Investments and withdrawals happen on their dates; the timing only sets the periodic IRR's cash-flow grid.
+                    </span>
+                  )}
+                </div>
+                {feesEnabled && <FeeSettings fees={fees} unit={amountsIn} onChange={setFees} />}
+                {taxesEnabled && <TaxSettings taxes={taxes} onChange={setTaxes} />}
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse border border-gray-300 text-sm">
+                    <caption className="sr-only">
+                      Portfolio parameters for {periodCount}-year investment analysis including investments, returns, dividends, and withdrawals
+                    </caption>
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th scope="col" className="border border-gray-300 px-3 py-2 text-left font-semibold">
+                          Parameter
+                        </th>
+                        {periodIndices.map(i => (
+                          <th key={`year-${i}`} scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
+                            <div>Year {i + 1}</div>
+                            <div className="mt-1 flex justify-center gap-1 font-normal text-xs">
+                              <button
+                                type="button"
+                                onClick={() => movePeriod(i, -1)}
+                                disabled={i === 0}
+                                className="px-1 rounded border disabled:opacity-30"
+                                aria-label={`Move year ${i + 1} earlier`}
+                              >
+                                ←
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => removePeriod(i)}
+                                disabled={periodCount <= 1}
+                                className="px-1 rounded border text-red-700 disabled:opacity-30"
+                                aria-label={`Remove year ${i + 1}`}
+                              >
+                                ×
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => movePeriod(i, 1)}
+                                disabled={i === periodCount - 1}
+                                className="px-1 rounded border disabled:opacity-30"
+                                aria-label={`Move year ${i + 1} later`}
+                              >
+                                →
+                              </button>
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <InputGrid rows={gridRows} onEdit={editGrid} onUndo={undo} onRedo={redo} />
+                      {datedMode && (
+                        <tr>
+                          <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
+                            Period end date
+                          </th>
+                          {periodIndices.map(i => (
+                            <td key={`period-end-${i}`} className="border border-gray-300 px-2 py-2">
+                              <input
+                                id={`period-end-${i}`}
+                                type="date"
+                                value={periodEndDates[i]}
+                                onChange={e => updateDate(setPeriodEndDates, i, e.target.value)}
+                                className="w-full rounded border px-2 py-1 text-center"
+                                aria-describedby={`period-end-help-${i}`}
+                              />
+                              <span id={`period-end-help-${i}`} className="sr-only">
+                                Valuation date closing year {i + 1}; dividends are paid on this date
+                              </span>
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                      {datedMode && (
+                        <tr>
+                          <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
+                            Investment date
+                          </th>
+                          {periodIndices.map(i => (
+                            <td key={`investment-date-${i}`} className="border border-gray-300 px-2 py-2">
+                              <input
+                                id={`investment-date-${i}`}
+                                type="date"
+                                value={investmentDates[i]}
+                                onChange={e => updateDate(setInvestmentDates, i, e.target.value)}
+                                className="w-full rounded border px-2 py-1 text-center"
+                                aria-describedby={`investment-date-help-${i}`}
+                              />
+                              <span id={`investment-date-help-${i}`} className="sr-only">
+                                Date the new investment for year {i + 1} is made
+                              </span>
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                      {datedMode && (
+                        <tr>
+                          <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
+                            Withdrawal date
+                          </th>
+                          {periodIndices.map(i => (
+                            <td key={`withdrawal-date-${i}`} className="border border-gray-300 px-2 py-2">
+                              <input
+                                id={`withdrawal-date-${i}`}
+                                type="date"
+                                value={withdrawalDates[i]}
+                                onChange={e => updateDate(setWithdrawalDates, i, e.target.value)}
+                                className="w-full rounded border px-2 py-1 text-center"
+                                aria-describedby={`withdrawal-date-help-${i}`}
+                              />
+                              <span id={`withdrawal-date-help-${i}`} className="sr-only">
+                                Date the withdrawal for year {i + 1} is made
+                              </span>
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="mt-2 text-xs text-gray-600">
+                  Arrow keys and Enter move between cells; Shift+arrows or Shift+click select a block. Paste a
+                  block copied from Excel to fill several cells. Ctrl+D fills down, Ctrl+R fills right,
+                  Ctrl+Z undoes and Ctrl+Y redoes.
+                </p>
+                <div className="mt-3 flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={undo}
+                    disabled={history.past.length === 0}
+                    className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50 disabled:opacity-30"
+                  >
+                    Undo
+                  </button>
+                  <button
+                    type="button"
+                    onClick={redo}
+                    disabled={history.future.length === 0}
+                    className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50 disabled:opacity-30"
+                  >
+                    Redo
+                  </button>
+                  <button
+                    type="button"
+                    onClick={addPeriod}
+                    className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50"
+                  >
+                    + Add Year
+                  </button>
+                  <label className="cursor-pointer rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50">
+                    Import CSV
+                    <input
+                      type="file"
+                      accept=".csv,text/csv"
+                      className="sr-only"
+                      onChange={e => {
+                        importCsv(e.target.files[0]);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => downloadText("portfolio-inputs.csv", scenarioToCsv(scenario))}
+                    className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50"
+                  >
+                    Export Inputs CSV
+                  </button>
+                </div>
+                <p className="mt-2 text-xs text-gray-600">
+                  CSV columns: investment, return, div_reinvested, div_not_reinvested, withdrawal (one row per year).
+                  Optionally add benchmark_return, inflation, unit_scale (1000000 for millions), currency_code, and
+                  start_date, end_date, investment_date and withdrawal_date to import in dated mode.
+                </p>
+                {csvOmitted.length > 0 && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    The inputs CSV does not include the {csvOmitted.join(", ")}. Use Save or Copy Link
+                    to keep them.
+                  </p>
+                )}
+                {portfolioEnabled && (
+                  <HoldingsEditor
+                    portfolio={portfolio}
+                    periodCount={periodCount}
+                    amountsIn={amountsIn}
+                    onEditRows={editHoldingRows}
+                    onChange={setPortfolio}
+                    onResize={resizePortfolio}
+                    onUndo={undo}
+                    onRedo={redo}
+                  />
+                )}
+              </div>
+
+              {linkError && (
+                <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
+                  <div className="text-red-800 text-sm">
+                    <strong>Shared Link Error:</strong> the scenario in this link could not be read or is not valid,
+                    so no inputs were changed.
+                  </div>
+                </div>
+              )}
+
+              {importErrors.length > 0 && (
+                <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
+                  <div className="text-red-800 text-sm">
+                    <strong>CSV Import Errors</strong> (no inputs were changed):
+                    <ul className="mt-1 list-disc list-inside">
+                      {importErrors.map((error, i) => (
+                        <li key={i}>{error}</li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
+
+              {goalSeekMode && !practiceMode && (
+                <GoalSeekPanel
+                  scenario={scenario}
+                  format={format}
+                  amountsIn={amountsIn}
+                  disabled={inputErrors.length > 0}
+                  onApply={(row, period, value) =>
+                    editGrid({ [row]: scenario[row].map((v, i) => (i === period ? value : v)) }, { continuing: false })}
+                />
+              )}
+            </>
+          )}
 
           {/* Error Messages */}
           {inputErrors.length > 0 && (
@@ -418,8 +1189,36 @@ export default function PortfolioReturnSim() {
           {calculations && (
             <>
               {/* Portfolio Value Chart */}
-              <div className="mb-6">
-                <h3 className="font-serif text-lg text-slate-700 mb-2">Portfolio Value Over Time</h3>
+              <div className="mb-6 print:break-inside-avoid">
+                <div className="mb-2 flex items-center justify-between gap-4">
+                  <h3 className="font-serif text-lg text-slate-700">
+                    Portfolio Value Over Time{shownCurrency ? ` in ${shownCurrency}` : ""}{realView ? " (constant Year 0 dollars)" : ""}
+                  </h3>
+                  {!reportMode && (
+                    <div className="flex flex-wrap items-center gap-4 text-sm">
+                      {calculations.currency && (
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={baseView}
+                            onChange={e => setBaseView(e.target.checked)}
+                          />
+                          Show in {calculations.currency.base} (chart and table)
+                        </label>
+                      )}
+                      {calculations.inflation && (
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={constantDollars}
+                            onChange={e => setConstantDollars(e.target.checked)}
+                          />
+                          Show constant dollars (chart and table)
+                        </label>
+                      )}
+                    </div>
+                  )}
+                </div>
                 <div className="h-80">
                   <ResponsiveContainer width="100%" height="100%">
                     <LineChart
@@ -432,67 +1231,210 @@ export default function PortfolioReturnSim() {
                         label={{ value: 'Year', position: 'insideBottom', offset: -10 }}
                       />
                       <YAxis 
-                        tickFormatter={(value) => `${(value / 1000000).toFixed(0)}M`}
+                        tickFormatter={(value) => format.money(value, 0)}
                       />
                       <Tooltip content={<CustomTooltip />} />
+                      {(comparing || calculations.benchmark) && <Legend verticalAlign="top" />}
                       <Line 
                         type="linear" 
                         dataKey="value" 
                         stroke="#4476FF" 
                         strokeWidth={2}
                         dot={{ fill: '#4476FF', r: 4 }}
-                        name="Portfolio Value"
+                        name={comparing ? scenarioName : "Portfolio Value"}
+                        isAnimationActive={!reportMode}
                       />
+                      {calculations.benchmark && (
+                        <Line
+                          type="linear"
+                          dataKey="benchmark"
+                          stroke="#6b7280"
+                          strokeWidth={2}
+                          strokeDasharray="2 2"
+                          dot={{ fill: '#6b7280', r: 3 }}
+                          name="Benchmark (same cash flows)"
+                          isAnimationActive={!reportMode}
+                        />
+                      )}
+                      {comparisons.map((c, k) => c.result && (
+                        <Line
+                          key={c.id}
+                          type="linear"
+                          dataKey={`cmp${k}`}
+                          stroke={c.color}
+                          strokeWidth={2}
+                          strokeDasharray="5 3"
+                          dot={{ fill: c.color, r: 3 }}
+                          name={c.name}
+                          isAnimationActive={!reportMode}
+                        />
+                      ))}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
               </div>
 
-              {/* Return Metrics Comparison Chart */}
-              <div className="mb-6">
-                <h3 className="font-serif text-lg text-slate-700 mb-2">Return Metric Comparison</h3>
-                <div className="h-64">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart
-                      data={metricsData.filter(m => m.isValid)}
-                      margin={{ top: 30, right: 30, left: 30, bottom: 60 }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis 
-                        dataKey="shortName" 
-                        angle={-45}
-                        textAnchor="end"
-                        height={80}
-                        interval={0}
-                      />
-                      <YAxis 
-                        label={{ value: 'Return (%)', angle: -90, position: 'insideLeft' }}
-                        tickFormatter={(value) => value.toFixed(1)}
-                      />
-                      <Tooltip 
-                        formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
-                        labelFormatter={(label) => {
-                          const metric = metricsData.find(m => m.shortName === label);
-                          return metric ? metric.name : label;
-                        }}
-                      />
-                      <Bar dataKey="value" name="Return">
-                        {metricsData.filter(m => m.isValid).map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={entry.value >= 0 ? "#000000" : "#dc2626"} />
-                        ))}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
+              {/* Drawdown Chart */}
+              {!reportMode && (
+                <div className="mb-6">
+                  <h3 className="font-serif text-lg text-slate-700 mb-2">Drawdown from Peak Balance</h3>
+                  <div className="h-48">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <AreaChart data={drawdownData} margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="yearLabel" label={{ value: 'Year', position: 'insideBottom', offset: -10 }} />
+                        <YAxis tickFormatter={(value) => format.percent(value / 100, 0)} domain={['auto', 0]} />
+                        <Tooltip formatter={(value) => [format.percent(value / 100), "Drawdown"]} labelFormatter={(label) => `Year: ${label}`} />
+                        <Area type="linear" dataKey="drawdown" stroke="#dc2626" fill="#dc2626" fillOpacity={0.2} />
+                      </AreaChart>
+                    </ResponsiveContainer>
+                  </div>
                 </div>
-                <p className="text-xs text-gray-600 mt-2">
-                  Black bars indicate positive returns, red bars indicate negative returns. 
-                  Invalid calculations (NaN) are excluded from the chart.
-                </p>
-              </div>
+              )}
+
+              {/* Results that would give away the practice answers */}
+              {!practiceMode && (
+                <>
+                  {/* Return Metrics Comparison Chart */}
+                  <div className="mb-6 print:break-inside-avoid">
+                    <h3 className="font-serif text-lg text-slate-700 mb-2">Return Metric Comparison</h3>
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart
+                          data={metricsData.filter(m => m.isValid)}
+                          margin={{ top: 30, right: 30, left: 30, bottom: 60 }}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis 
+                            dataKey="shortName" 
+                            angle={-45}
+                            textAnchor="end"
+                            height={80}
+                            interval={0}
+                          />
+                          <YAxis 
+                            label={{ value: 'Return (%)', angle: -90, position: 'insideLeft' }}
+                            tickFormatter={(value) => format.number(value, 1)}
+                          />
+                          <Tooltip 
+                            formatter={(value, name) => [value === null ? 'n/a' : format.percent(value / 100), name]}
+                            labelFormatter={(label) => {
+                              const metric = metricsData.find(m => m.shortName === label);
+                              return metric ? metric.name : label;
+                            }}
+                          />
+                          {comparing && <Legend verticalAlign="top" />}
+                          <Bar dataKey="value" name={comparing ? scenarioName : "Return"} fill="#4476FF" isAnimationActive={!reportMode}>
+                            {!comparing && metricsData.filter(m => m.isValid).map((entry, index) => (
+                              <Cell key={`cell-${index}`} fill={entry.value >= 0 ? "#000000" : "#dc2626"} />
+                            ))}
+                          </Bar>
+                          {comparisons.map((c, k) => c.result && (
+                            <Bar key={c.id} dataKey={`cmp${k}`} name={c.name} fill={c.color} isAnimationActive={!reportMode} />
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-2">
+                      {comparing
+                        ? "Bars are grouped by metric, one colour per scenario. "
+                        : "Black bars indicate positive returns, red bars indicate negative returns. "}
+                      Invalid calculations (NaN) are excluded from the chart.
+                    </p>
+                  </div>
+
+                  {comparing && !reportMode && (
+                    <ScenarioComparison
+                      columns={[
+                        { id: "current", name: `${scenarioName} (current)`, color: "#4476FF", result: calculations },
+                        ...comparisons
+                      ]}
+                      metrics={shownMetrics}
+                      format={format}
+                      onRemove={id => setPinned(pinned.filter(entry => entry.id !== id))}
+                    />
+                  )}
+
+                  {/* NPV Profile Chart */}
+                  {!reportMode && (
+                    <div className="mb-6">
+                      <h3 className="font-serif text-lg text-slate-700 mb-2">NPV Profile</h3>
+                      <div className="h-72">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart
+                            data={npvProfileData}
+                            margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                          >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis
+                              dataKey="rate"
+                              type="number"
+                              domain={['dataMin', 'dataMax']}
+                              tickFormatter={(value) => format.percent(value / 100, 0)}
+                              label={{ value: 'Discount Rate', position: 'insideBottom', offset: -10 }}
+                            />
+                            <YAxis
+                              tickFormatter={(value) => format.money(value, 0)}
+                            />
+                            <Tooltip
+                              formatter={(value) => [format.money(value), 'NPV']}
+                              labelFormatter={(label) => `Rate: ${format.percent(Number(label) / 100)}`}
+                            />
+                            <ReferenceLine y={0} stroke="#000000" />
+                            <Line
+                              type="monotone"
+                              dataKey="npv"
+                              stroke="#4476FF"
+                              strokeWidth={2}
+                              dot={false}
+                              name="NPV"
+                            />
+                            {calculations.irrAnalysis.roots.map((root, i) => (
+                              <ReferenceDot key={`root-${i}`} x={root * 100} y={0} r={5} fill="#dc2626" stroke="none" />
+                            ))}
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                      <p className="text-xs text-gray-600 mt-2">
+                        Each point where the curve crosses zero (red dot) is an IRR. The cash flows change sign{' '}
+                        {calculations.irrAnalysis.signChanges} time{calculations.irrAnalysis.signChanges === 1 ? '' : 's'}, so by Descartes' rule
+                        there can be at most {calculations.irrAnalysis.signChanges} IRR{calculations.irrAnalysis.signChanges === 1 ? '' : 's'}.
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
 
               {/* Detailed Results Table */}
-              <div className="mb-6 overflow-x-auto">
-                <h3 className="font-serif text-lg text-slate-700 mb-3">Detailed Cash Flow Analysis (CFA Institute Format)</h3>
+              <div className="mb-6 overflow-x-auto print:overflow-visible">
+                <div className="mb-3 flex items-center justify-between gap-4">
+                  <h3 className="font-serif text-lg text-slate-700">
+                    Detailed Cash Flow Analysis (CFA Institute Format){shownCurrency ? ` in ${shownCurrency}` : ""}{realView ? " (constant Year 0 dollars)" : ""}
+                  </h3>
+                  {!practiceMode && !reportMode && (
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={() => downloadText("portfolio-results.csv", resultToCsv(scenario, calculations))}
+                        className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50"
+                      >
+                        Export Results CSV
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => downloadText(
+                          "portfolio-workbook.xml",
+                          resultToSpreadsheet(scenario, calculations),
+                          SPREADSHEET_MIME_TYPE
+                        )}
+                        className="rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50"
+                        title="Excel workbook (SpreadsheetML) with live formulas"
+                      >
+                        Export Excel Workbook
+                      </button>
+                    </div>
+                  )}
+                </div>
                 <table className="w-full border-collapse border border-gray-300 text-sm">
                   <caption className="sr-only">
                     Detailed cash flow and return analysis showing year-by-year portfolio performance
@@ -508,145 +1450,361 @@ export default function PortfolioReturnSim() {
                       <th scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
                         Year 0
                       </th>
-                      <th scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
-                        Year 1
-                      </th>
-                      <th scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
-                        Year 2
-                      </th>
-                      <th scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
-                        Year 3
-                      </th>
+                      {periodIndices.map(i => (
+                        <th key={`detail-year-${i}`} scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
+                          Year {i + 1}
+                        </th>
+                      ))}
                     </tr>
                   </thead>
                   <tbody>
                     <tr>
-                      <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">New Investment (in Millions)</th>
-                      <td className="border border-gray-300 px-2 py-2 text-center">Beginning</td>
+                      <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">New Investment ({amountsIn})</th>
+                      <td className="border border-gray-300 px-2 py-2 text-center">{datedMode ? "Dated" : TIMING_POINTS[timing.investment].name}</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.investmentDisplay[0]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.investmentDisplay[1]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.investmentDisplay[2]}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-inv-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.input(detail.investmentDisplay[i])}</td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Net balance</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">Beginning</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.startValues[0] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.startValues[1] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.startValues[2] / 1000000).toFixed(0)}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-start-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.amount(detail.startValues[i])}</td>
+                      ))}
                     </tr>
-                    <tr>
+                    <tr id="detail-price-return">
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Annual Return (excluding dividends)</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">Over</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(returns[0] * 100).toFixed(0)}%</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(returns[1] * 100).toFixed(0)}%</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(returns[2] * 100).toFixed(0)}%</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-ret-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.percent(returns[i], 0)}</td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Investment gain (loss)</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">Over</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.gains[0] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.gains[1] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{(calculations.gains[2] / 1000000).toFixed(1)}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-gain-${i}`} className="border border-gray-300 px-2 py-2 text-center">
+                          {format.amount(detail.gains[i])}
+                        </td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Dividend received (and not reinvested)</th>
-                      <td className="border border-gray-300 px-2 py-2 text-center">End</td>
+                      <td className="border border-gray-300 px-2 py-2 text-center">{TIMING_POINTS[timing.dividend].name}</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divNotReinvestedDisplay[0]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divNotReinvestedDisplay[1]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divNotReinvestedDisplay[2]}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-divn-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.input(detail.divNotReinvestedDisplay[i])}</td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Dividend received (and reinvested)</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">End</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divReinvestedDisplay[0]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divReinvestedDisplay[1]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.divReinvestedDisplay[2]}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-divr-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.input(detail.divReinvestedDisplay[i])}</td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Dividend yield</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(calculations.totalDividends[0] / calculations.startValues[0] * 100).toFixed(1)}%
-                      </td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(calculations.totalDividends[1] / calculations.startValues[1] * 100).toFixed(1)}%
-                      </td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(calculations.totalDividends[2] / calculations.startValues[2] * 100).toFixed(1)}%
-                      </td>
+                      {periodIndices.map(i => (
+                        <td key={`d-yield-${i}`} className="border border-gray-300 px-2 py-2 text-center">
+                          {format.percent(calculations.totalDividends[i] / calculations.startValues[i])}
+                        </td>
+                      ))}
                     </tr>
-                    <tr>
-                      <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Total Annual Return (including dividends)</th>
+                    <tr id="detail-total-return">
+                      <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">
+                        Total Annual Return (including {timing.dividendsInTwr ? "dividends" : "reinvested dividends"})
+                      </th>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(((calculations.gains[0] + calculations.totalDividends[0]) / calculations.startValues[0]) * 100).toFixed(2)}%
-                      </td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(((calculations.gains[1] + calculations.totalDividends[1]) / calculations.startValues[1]) * 100).toFixed(2)}%
-                      </td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">
-                        {(((calculations.gains[2] + calculations.totalDividends[2]) / calculations.startValues[2]) * 100).toFixed(2)}%
-                      </td>
+                      {periodIndices.map(i => (
+                        <td key={`d-total-${i}`} className="border border-gray-300 px-2 py-2 text-center">
+                          {format.percent(calculations.totalReturns[i])}
+                        </td>
+                      ))}
                     </tr>
                     <tr>
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Withdrawal by investor</th>
-                      <td className="border border-gray-300 px-2 py-2 text-center">End</td>
+                      <td className="border border-gray-300 px-2 py-2 text-center">{datedMode ? "Dated" : TIMING_POINTS[timing.withdrawal].name}</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.withdrawalsDisplay[0]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.withdrawalsDisplay[1]}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center">{calculations.withdrawalsDisplay[2]}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-with-${i}`} className="border border-gray-300 px-2 py-2 text-center">{format.input(detail.withdrawalsDisplay[i])}</td>
+                      ))}
                     </tr>
+                    {calculations.fees && (
+                      <>
+                        <tr>
+                          <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Balance before fees</th>
+                          <td className="border border-gray-300 px-2 py-2 text-center">End</td>
+                          <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                          {periodIndices.map(i => (
+                            <td key={`d-prefee-${i}`} className="border border-gray-300 px-2 py-2 text-center">
+                              {format.amount(detail.fees.balanceBeforeFees[i])}
+                            </td>
+                          ))}
+                        </tr>
+                        {[
+                          ["Management fee", "management"],
+                          ["Performance fee", "performance"],
+                          ["Transaction fees", "transaction"]
+                        ].map(([label, key]) => (
+                          <tr key={key}>
+                            <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">{label}</th>
+                            <td className="border border-gray-300 px-2 py-2 text-center">End</td>
+                            <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                            {periodIndices.map(i => (
+                              <td key={`d-${key}-${i}`} className="border border-gray-300 px-2 py-2 text-center text-red-700">
+                                {format.amount(-detail.fees[key][i])}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </>
+                    )}
+                    {calculations.taxes && [
+                      ["Dividend tax", "dividend"],
+                      ["Capital gains tax", "capitalGains"]
+                    ].map(([label, key]) => (
+                      <tr key={key}>
+                        <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">{label}</th>
+                        <td className="border border-gray-300 px-2 py-2 text-center">End</td>
+                        <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                        {periodIndices.map(i => (
+                          <td key={`d-${key}-${i}`} className="border border-gray-300 px-2 py-2 text-center text-red-700">
+                            {format.amount(-detail.taxes[key][i])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                    {(calculations.fees || calculations.taxes) && (
+                      <tr>
+                        <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">
+                          Net Annual Return (after {[calculations.fees && "fees", calculations.taxes && "taxes"].filter(Boolean).join(" and ")})
+                        </th>
+                        <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                        <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                        {periodIndices.map(i => (
+                          <td key={`d-net-${i}`} className="border border-gray-300 px-2 py-2 text-center">
+                            {format.percent(calculations.subPeriodReturns[i])}
+                          </td>
+                        ))}
+                      </tr>
+                    )}
                     <tr className="bg-blue-50">
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Balance</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">End</td>
                       <td className="border border-gray-300 px-2 py-2 text-center">—</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.endValues[0] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.endValues[1] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.endValues[2] / 1000000).toFixed(1)}</td>
+                      {periodIndices.map(i => (
+                        <td key={`d-end-${i}`} className="border border-gray-300 px-2 py-2 text-center font-semibold">
+                          {format.amount(detail.endValues[i])}
+                        </td>
+                      ))}
                     </tr>
-                    <tr className="bg-yellow-50">
+                    <tr id="detail-net-cash-flows" className="bg-yellow-50">
                       <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Net cash flows</th>
                       <td className="border border-gray-300 px-2 py-2 text-center">Over</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.cashFlows[0] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.cashFlows[1] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.cashFlows[2] / 1000000).toFixed(0)}</td>
-                      <td className="border border-gray-300 px-2 py-2 text-center font-semibold">{(calculations.cashFlows[3] / 1000000).toFixed(1)}</td>
+                      {detail.cashFlows.map((cf, t) => (
+                        <td key={`d-cf-${t}`} className="border border-gray-300 px-2 py-2 text-center font-semibold">
+                          {format.amount(cf)}
+                        </td>
+                      ))}
                     </tr>
+                    {calculations.midPeriodCashFlows.some(cf => cf !== 0) && (
+                      <tr className="bg-yellow-50">
+                        <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">Net cash flows (mid-year)</th>
+                        <td className="border border-gray-300 px-2 py-2 text-center">Middle</td>
+                        <td className="border border-gray-300 px-2 py-2 text-center">—</td>
+                        {detail.midPeriodCashFlows.map((cf, i) => (
+                          <td key={`d-mid-cf-${i}`} className="border border-gray-300 px-2 py-2 text-center font-semibold">
+                            {format.amount(cf)}
+                          </td>
+                        ))}
+                      </tr>
+                    )}
                   </tbody>
                 </table>
               </div>
 
               {/* Return Metrics Summary */}
-              <div className="mb-6 p-4 bg-gray-50 rounded-lg">
-                <h3 className="font-serif text-lg text-slate-700 mb-3">Return Metric Summary</h3>
-                <div className="grid grid-cols-2 gap-4 text-sm">
-                  <div>
-                    <p><strong>Money-Weighted Return (IRR):</strong> {
-                      isNaN(calculations.irr) ? 'Unable to calculate' : `${(calculations.irr * 100).toFixed(2)}%`
-                    }</p>
-                    <p><strong>Time-Weighted Return:</strong> {
-                      isNaN(calculations.twr) ? 'Unable to calculate' : `${(calculations.twr * 100).toFixed(2)}%`
-                    }</p>
-                  </div>
-                  <div>
-                    <p><strong>Geometric Mean (Price Only):</strong> {(calculations.annualGeometric * 100).toFixed(2)}%</p>
-                    <p><strong>Arithmetic Mean (Price Only):</strong> {(calculations.annualArithmetic * 100).toFixed(2)}%</p>
+              {!practiceMode && (
+                <div className="mb-6 p-4 bg-gray-50 rounded-lg print:break-inside-avoid">
+                  <h3 className="font-serif text-lg text-slate-700 mb-3">Return Metric Summary</h3>
+                  <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <p><strong>Money-Weighted Return (IRR):</strong> {
+                        showRate(calculations.metrics.irr)
+                      }</p>
+                      <Derivation derivation={derivations.irr} />
+                      {calculations.irrAnalysis.roots.length > 1 && (
+                        <p className="text-xs text-amber-700">
+                          Multiple IRRs found: {calculations.irrAnalysis.roots.map(r => format.percent(r)).join(', ')}.
+                          The money-weighted return is not unique for these cash flows.
+                        </p>
+                      )}
+                      {calculations.irrAnalysis.roots.length === 0 && (
+                        <p className="text-xs text-amber-700">
+                          No IRR exists between {format.percent(IRR_RATE_MIN, 0)} and {format.percent(IRR_RATE_MAX, 0)}
+                          {calculations.irrAnalysis.signChanges === 0 ? ' (the cash flows never change sign)' : ''}.
+                        </p>
+                      )}
+                      <p><strong>Time-Weighted Return:</strong> {
+                        showRate(calculations.metrics.twr)
+                      }</p>
+                      <Derivation derivation={derivations.twr} />
+                      {calculations.fees && (
+                        <>
+                          <p><strong>Money-Weighted Return, Gross of Fees:</strong> {
+                            showRate(calculations.metrics.grossIrr)
+                          }</p>
+                          <p><strong>Time-Weighted Return, Gross of Fees:</strong> {
+                            showRate(calculations.metrics.grossTwr)
+                          }</p>
+                          <p className="text-xs text-gray-600">
+                            Total fees: {format.money(calculations.fees.total.reduce((sum, fee) => sum + fee, 0))}.
+                            The other returns are net of fees.
+                          </p>
+                        </>
+                      )}
+                      {calculations.taxes && (
+                        <>
+                          <p><strong>Money-Weighted Return, Pre-Tax:</strong> {
+                            showRate(calculations.metrics.preTaxIrr)
+                          }</p>
+                          <p><strong>Time-Weighted Return, Pre-Tax:</strong> {
+                            showRate(calculations.metrics.preTaxTwr)
+                          }</p>
+                          <p className="text-xs text-gray-600">
+                            Total taxes: {format.money(calculations.taxes.total.reduce((sum, tax) => sum + tax, 0))}.
+                            The other returns are after tax.
+                          </p>
+                        </>
+                      )}
+                      {datedMode && (
+                        <>
+                          <p><strong>Money-Weighted Return (XIRR):</strong> {
+                            showRate(calculations.metrics.xirr)
+                          }</p>
+                          <Derivation derivation={derivations.xirr} />
+                        </>
+                      )}
+                      <p><strong>Modified Dietz (Annualized):</strong> {
+                        showRate(calculations.metrics.modifiedDietz)
+                      }</p>
+                      <Derivation derivation={derivations.modifiedDietz} />
+                      <p><strong>Linked Modified Dietz (Annualized):</strong> {
+                        showRate(calculations.metrics.linkedModifiedDietz)
+                      }</p>
+                      <Derivation derivation={derivations.linkedModifiedDietz} />
+                    </div>
+                    <div>
+                      <p><strong>Geometric Mean (Price Only):</strong> {format.percent(calculations.metrics.annualGeometric)}</p>
+                      <Derivation derivation={derivations.annualGeometric} />
+                      <p><strong>Arithmetic Mean (Price Only):</strong> {format.percent(calculations.metrics.annualArithmetic)}</p>
+                      <Derivation derivation={derivations.annualArithmetic} />
+                      {calculations.inflation && (
+                        <>
+                          <p><strong>Real Money-Weighted Return (IRR):</strong> {
+                            showRate(calculations.metrics.realIrr)
+                          }</p>
+                          <p><strong>Real Time-Weighted Return:</strong> {
+                            showRate(calculations.metrics.realTwr)
+                          }</p>
+                          <p><strong>Real Geometric Mean (Price Only):</strong> {format.percent(calculations.metrics.realGeometric)}</p>
+                          <p className="text-xs text-gray-600">
+                            Inflation averaged {format.percent(calculations.inflation.annualized)} a year
+                            ({format.percent(calculations.inflation.cumulative)} cumulative). Real returns use
+                            (1 + nominal) / (1 + inflation) - 1; the real IRR discounts constant-dollar cash flows.
+                          </p>
+                        </>
+                      )}
+                    </div>
                   </div>
+                  {calculations.benchmark && (
+                    <div className="mt-4 grid grid-cols-2 gap-4 text-sm">
+                      <div>
+                        <p><strong>Benchmark Return (Annualized):</strong> {
+                          showRate(calculations.metrics.benchmarkAnnualized)
+                        }</p>
+                      </div>
+                      <div>
+                        {BENCHMARK_STATS.map(stat => {
+                          const value = calculations.benchmark[stat.key];
+                          return (
+                            <p key={stat.key}><strong>{stat.name}:</strong> {
+                              isNaN(value) ? 'Unable to calculate' : stat.isRatio ? format.ratio(value) : format.percent(value)
+                            }</p>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                  {calculations.currency && (
+                    <div className="mt-4 text-sm">
+                      <table className="border-collapse border border-gray-300">
+                        <caption className="text-left font-semibold mb-1">
+                          Currency decomposition ({calculations.currency.local} holding, {calculations.currency.base} base)
+                        </caption>
+                        <thead>
+                          <tr className="bg-gray-50">
+                            <th scope="col" className="border border-gray-300 px-3 py-1 text-left">Measure</th>
+                            <th scope="col" className="border border-gray-300 px-3 py-1">Local return</th>
+                            <th scope="col" className="border border-gray-300 px-3 py-1">Currency return</th>
+                            <th scope="col" className="border border-gray-300 px-3 py-1">Cross term</th>
+                            <th scope="col" className="border border-gray-300 px-3 py-1">Base return</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {[["Time-weighted", "twr"], ["Money-weighted", "mwr"]].map(([label, key]) => (
+                            <tr key={key}>
+                              <th scope="row" className="border border-gray-300 px-3 py-1 text-left font-semibold">{label}</th>
+                              {["local", "currency", "cross", "base"].map(part => {
+                                const value = calculations.currency[key][part];
+                                return (
+                                  <td key={part} className="border border-gray-300 px-3 py-1 text-center">
+                                    {format.percent(value)}
+                                  </td>
+                                );
+                              })}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p className="text-xs text-gray-600 mt-1">
+                        Base = (1 + local) × (1 + currency) − 1, so base = local + currency + cross term. The
+                        money-weighted currency return is the part of the base IRR not explained by the local IRR.
+                      </p>
+                    </div>
+                  )}
                 </div>
-              </div>
+              )}
             </>
           )}
 
+          {calculations?.portfolio && !practiceMode && (
+            <PortfolioPanel result={calculations.portfolio} format={format} animate={!reportMode} />
+          )}
+
+          {calculations && !practiceMode && (
+            <GapAnalysis decomposition={gapDecomposition} format={format} animate={!reportMode} />
+          )}
+
+          {sensitivityMode && calculations && !practiceMode && !reportMode && (
+            <SensitivityPanel scenario={scenario} format={format} amountsIn={amountsIn} />
+          )}
+
+          {calculations && !practiceMode && !reportMode && <RiskPanel result={calculations} returns={returns} format={format} />}
+
+          {simulationMode && !practiceMode && !reportMode && <MonteCarloPanel scenario={scenario} format={format} disabled={inputErrors.length > 0} />}
+
           {/* Educational Note */}
-          <div className="mt-6 p-4 bg-gray-50 rounded-lg">
+          <div className="mt-6 p-4 bg-gray-50 rounded-lg print:break-inside-avoid">
             <p className="text-sm text-gray-700">
               <strong>IRR vs TWR Analysis:</strong> The Money-Weighted Return (IRR) reflects the actual return 
               experienced by the investor considering the timing and size of cash flows, while the Time-Weighted 
@@ -654,6 +1812,8 @@ export default function PortfolioReturnSim() {
               Use TWR to evaluate manager performance and IRR to assess investor experience.
             </p>
           </div>
+
+          {reportMode && calculations && <ReportFootnotes scenario={scenario} result={calculations} />}
         </Card>
       </main>
     </div>
@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { toPlainText } from "../engine/derivations.js";
+
+// Renders ^{...} as superscript and _{...} as subscript
+function MathText({ text }) {
+  const parts = text.split(/(\^\{[^}]*\}|_\{[^}]*\})/);
+  return (
+    <span className="font-serif">
+      {parts.map((part, i) => {
+        if (part.startsWith("^{")) return <sup key={i}>{part.slice(2, -1)}</sup>;
+        if (part.startsWith("_{")) return <sub key={i}>{part.slice(2, -1)}</sub>;
+        return <span key={i}>{part}</span>;
+      })}
+    </span>
+  );
+}
+
+// Expandable "show your work" block for one metric
+export default function Derivation({ derivation }) {
+  const [status, setStatus] = useState("");
+  if (!derivation) return null;
+
+  const copy = async () => {
+    const text = toPlainText(derivation);
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus("Copied");
+    } catch {
+      window.prompt("Copy the working:", text);
+    }
+  };
+
+  return (
+    <details className="mb-2 text-xs">
+      <summary className="cursor-pointer text-blue-700">Show work</summary>
+      <div className="mt-1 rounded border border-gray-200 bg-white p-2">
+        <ol className="list-decimal space-y-1 pl-5">
+          {derivation.steps.map((step, i) => (
+            <li key={i}>
+              <div className="text-gray-600">{step.label}</div>
+              {step.formula && <div className="overflow-x-auto whitespace-nowrap"><MathText text={step.formula} /></div>}
+            </li>
+          ))}
+        </ol>
+        <p className="mt-1 font-semibold">{derivation.result}</p>
+        <div className="mt-1 flex items-center gap-2">
+          <button
+            type="button"
+            onClick={copy}
+            className="rounded border border-gray-300 px-2 py-0.5 hover:bg-gray-50"
+          >
+            Copy as text
+          </button>
+          {status && <span className="text-gray-600">{status}</span>}
+        </div>
+      </div>
+    </details>
+  );
+}
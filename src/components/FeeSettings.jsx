@@ -0,0 +1,83 @@
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+// Fee inputs; rates are decimals like the return inputs, the transaction fee is in input units (unit)
+export default function FeeSettings({ fees, unit, onChange }) {
+  const update = (key, value) => onChange({ ...fees, [key]: value });
+
+  return (
+    <div className="mb-4 p-4 bg-gray-50 rounded-lg">
+      <h4 className="font-semibold text-slate-700 mb-2">Fees</h4>
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          Management fee (annual, decimal)
+          <input
+            type="number"
+            step="0.0025"
+            min="0"
+            max="0.1"
+            value={fees.managementRate}
+            onChange={e => update("managementRate", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Charged on
+          <select
+            value={fees.managementBasis}
+            onChange={e => update("managementBasis", e.target.value)}
+            className="rounded border px-2 py-1"
+          >
+            <option value="start">Start-of-year balance</option>
+            <option value="average">Average balance</option>
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          Performance fee (decimal)
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            max="0.5"
+            value={fees.performanceRate}
+            onChange={e => update("performanceRate", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Hurdle rate (decimal)
+          <input
+            type="number"
+            step="0.01"
+            value={fees.hurdleRate}
+            onChange={e => update("hurdleRate", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2 pb-1">
+          <input
+            type="checkbox"
+            checked={fees.highWaterMark}
+            onChange={e => update("highWaterMark", e.target.checked)}
+          />
+          High-water mark
+        </label>
+        <label className="flex flex-col gap-1">
+          Transaction fee ({unit})
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={fees.transactionFee}
+            onChange={e => update("transactionFee", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Fees are taken from the portfolio at each year end. The performance fee applies to the return after the
+        management fee that exceeds the hurdle{fees.highWaterMark ? " and the previous peak unit value" : ""}; a
+        transaction fee is charged on every non-zero investment and withdrawal.
+      </p>
+    </div>
+  );
+}
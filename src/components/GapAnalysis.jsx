@@ -0,0 +1,114 @@
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Cell,
+  ReferenceLine
+} from "recharts";
+import { describeFlow, explainGap } from "../engine/gap.js";
+
+const TOTAL_COLOR = "#4476FF";
+
+// Waterfall from the TWR to the MWR: each step floats from the running total to the next one.
+// Values are in percent for the axis, like the metric comparison chart.
+function waterfallData(decomposition, format) {
+  const { twr, irr, residual, flows } = decomposition;
+  const data = [{ label: "TWR", detail: "Time-weighted return", range: [0, twr * 100], value: twr, total: true }];
+  let running = twr;
+  const step = (label, detail, effect) => {
+    data.push({ label, detail, range: [running * 100, (running + effect) * 100], value: effect, total: false });
+    running += effect;
+  };
+  step("First investment", "First investment alone (dividends paid out, fees and taxes)", residual);
+  flows.forEach(flow => {
+    const name = describeFlow(flow, format);
+    const label = `Y${flow.period + 1} ${flow.amount > 0 ? "+" : "−"}${format.input(Math.abs(flow.amount))}`;
+    step(label, name[0].toUpperCase() + name.slice(1), flow.effect);
+  });
+  data.push({ label: "MWR", detail: "Money-weighted return (IRR)", range: [0, irr * 100], value: irr, total: true });
+  return data;
+}
+
+// Breakdown of the MWR − TWR gap for the scenario on screen: one step per contribution or
+// withdrawal, the effects by year and a generated explanation
+export default function GapAnalysis({ decomposition, format, animate }) {
+  if (!decomposition) {
+    return (
+      <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+        <h3 className="font-serif text-lg text-slate-700 mb-2">Why the MWR and TWR Differ</h3>
+        <p className="text-sm text-gray-700">
+          The gap cannot be broken down because the money-weighted or time-weighted return is not defined for these
+          cash flows, or for the cash flows up to one of the contributions or withdrawals.
+        </p>
+      </div>
+    );
+  }
+
+  const data = waterfallData(decomposition, format);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg print:break-inside-avoid">
+      <h3 className="font-serif text-lg text-slate-700 mb-2">Why the MWR and TWR Differ</h3>
+      <div className="text-sm text-gray-700 space-y-1 mb-3">
+        {explainGap(decomposition, format).map(sentence => <p key={sentence}>{sentence}</p>)}
+      </div>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} margin={{ top: 10, right: 30, left: 30, bottom: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" angle={-30} textAnchor="end" height={60} interval={0} />
+            <YAxis
+              label={{ value: 'Return (%)', angle: -90, position: 'insideLeft' }}
+              tickFormatter={(value) => format.number(value, 1)}
+            />
+            <Tooltip
+              formatter={(_, __, { payload }) => [
+                payload.total ? format.percent(payload.value) : format.points(payload.value),
+                payload.total ? "Return" : "Effect"
+              ]}
+              labelFormatter={(label) => data.find(d => d.label === label)?.detail ?? label}
+            />
+            <ReferenceLine y={0} stroke="#000000" />
+            <Bar dataKey="range" isAnimationActive={animate}>
+              {data.map((entry, index) => (
+                <Cell
+                  key={`gap-${index}`}
+                  fill={entry.total ? TOTAL_COLOR : entry.value >= 0 ? "#000000" : "#dc2626"}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="overflow-x-auto mt-3">
+        <table className="border-collapse border border-gray-300 text-sm">
+          <caption className="text-left font-semibold mb-1">Cash-flow timing effect by year</caption>
+          <thead>
+            <tr className="bg-gray-50">
+              {decomposition.periodEffects.map((_, i) => (
+                <th key={i} scope="col" className="border border-gray-300 px-3 py-1">Year {i + 1}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              {decomposition.periodEffects.map((effect, i) => (
+                <td key={i} className="border border-gray-300 px-3 py-1 text-center">{format.points(effect)}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Blue bars are the two returns; black steps raise the money-weighted return and red steps lower it. The
+        contributions and withdrawals are added back in time order, starting from the first investment alone, and
+        each step is the change in the IRR that flow causes, so the steps add up to the gap exactly. The order
+        matters: a flow's effect is measured given the flows before it.
+      </p>
+    </div>
+  );
+}
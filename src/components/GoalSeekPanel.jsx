@@ -0,0 +1,120 @@
+import { useState } from "react";
+import { INPUT_LABELS } from "../engine/index.js";
+import { GOAL_TARGETS, goalSeek } from "../engine/goalSeek.js";
+
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+// Solves for one input cell that makes a metric hit a target. Rates are entered as percentages,
+// the final balance in the amount unit. Applying the answer goes through onApply(row, period, value)
+// so it can be undone like any other edit.
+export default function GoalSeekPanel({ scenario, format, amountsIn, disabled, onApply }) {
+  const [row, setRow] = useState("investment");
+  const [period, setPeriod] = useState(0);
+  const [target, setTarget] = useState("irr");
+  const [goalText, setGoalText] = useState("");
+  // The answer is kept with the scenario it was solved for and hidden once the inputs change
+  const [outcome, setOutcome] = useState(null);
+
+  const periodCount = scenario.investment.length;
+  const year = Math.min(period, periodCount - 1);
+  const { isRate } = GOAL_TARGETS[target];
+  const goal = parseFloat(goalText) / (isRate ? 100 : 1);
+
+  const solve = () => {
+    setOutcome({ scenario, row, period: year, target, goal, result: goalSeek(scenario, { row, period: year, target, goal }) });
+  };
+
+  // Cell values in the row's own terms: returns as percentages, amounts in input units
+  const showInput = (key, value) => (key === "returns"
+    ? format.percent(value, format.precision.percent + 2)
+    : `${format.input(value, format.precision.amount + 2)} ${amountsIn}`);
+  const showMetric = (key, value) => (GOAL_TARGETS[key].isRate
+    ? format.percent(value)
+    : `${format.input(value)} ${amountsIn}`);
+
+  const current = outcome && outcome.scenario === scenario ? outcome : null;
+  const cell = current && `Year ${current.period + 1} ${INPUT_LABELS[current.row]}`;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="font-serif text-lg text-slate-700 mb-3">Goal Seek</h3>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          Change
+          <select value={row} onChange={e => setRow(e.target.value)} className="rounded border px-2 py-1">
+            {Object.entries(INPUT_LABELS).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          in
+          <select value={year} onChange={e => setPeriod(Number(e.target.value))} className="rounded border px-2 py-1">
+            {scenario.investment.map((_, i) => (
+              <option key={i} value={i}>Year {i + 1}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          so that
+          <select value={target} onChange={e => setTarget(e.target.value)} className="rounded border px-2 py-1">
+            {Object.entries(GOAL_TARGETS).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          equals
+          <input
+            type="number"
+            step={isRate ? "0.01" : "any"}
+            value={goalText}
+            onChange={e => setGoalText(e.target.value)}
+            className={inputClass}
+          />
+          {isRate ? "%" : amountsIn}
+        </label>
+        <button
+          type="button"
+          onClick={solve}
+          disabled={disabled || !isFinite(goal)}
+          className="rounded border border-gray-300 bg-white px-3 py-1 hover:bg-gray-50 disabled:opacity-30"
+        >
+          Solve
+        </button>
+      </div>
+      {disabled && <p className="mt-2 text-sm text-red-700">Fix the input errors before solving.</p>}
+      {current && current.result.solved && (
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          <p>
+            Setting <strong>{cell}</strong> to <strong>{showInput(current.row, current.result.value)}</strong> gives
+            a {GOAL_TARGETS[current.target].name} of {showMetric(current.target, current.result.achieved)}.
+          </p>
+          <button
+            type="button"
+            onClick={() => onApply(current.row, current.period, current.result.value)}
+            className="rounded border border-gray-300 bg-white px-3 py-1 hover:bg-gray-50"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+      {current && !current.result.solved && (
+        <p className="mt-3 text-sm text-amber-700" role="status">
+          No solution: no {cell} between {showInput(current.row, current.result.min)} and{" "}
+          {showInput(current.row, current.result.max)} (the allowed range) gives a {GOAL_TARGETS[current.target].name} of{" "}
+          {showMetric(current.target, current.goal)}.{" "}
+          {current.result.closest
+            ? `Across that range it runs from ${showMetric(current.target, current.result.lowest)} to ` +
+              `${showMetric(current.target, current.result.highest)}; the closest is ` +
+              `${showMetric(current.target, current.result.closest.achieved)} at ${showInput(current.row, current.result.closest.value)}.`
+            : "It cannot be calculated anywhere in that range."}
+        </p>
+      )}
+      <p className="text-xs text-gray-600 mt-2">
+        The search covers the input's whole allowed range and returns the solution nearest the current value.
+        When the metric can take the target at more than one value, try again from a different starting value.
+      </p>
+    </div>
+  );
+}
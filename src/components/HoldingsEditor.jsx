@@ -0,0 +1,164 @@
+import { INPUT_LABELS, INPUT_ROWS } from "../engine/index.js";
+import { REBALANCING_RULES, emptyHolding } from "../engine/portfolio.js";
+import InputGrid from "./InputGrid.jsx";
+
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+// Holdings of a multi-holding portfolio, one input grid each, and the rebalancing rule. Grid edits go
+// through onEditRows(index, changes, { continuing }) so they can be undone like the main grid;
+// adding or removing a holding goes through onResize(next), names and rebalancing through onChange(next).
+// Target weights and the band are decimals like the return inputs.
+export default function HoldingsEditor({ portfolio, periodCount, amountsIn, onEditRows, onChange, onResize, onUndo, onRedo }) {
+  const { holdings, rebalancing } = portfolio;
+  const targets = rebalancing.targets || holdings.map((_, k) => (k === 0 ? 1 : 0));
+  const targetTotal = targets.reduce((acc, t) => acc + (isNaN(t) ? 0 : t), 0);
+
+  const rename = (index, name) => onChange({
+    ...portfolio,
+    holdings: holdings.map((holding, k) => (k === index ? { ...holding, name } : holding))
+  });
+  const updateRebalancing = (key, value) => onChange({ ...portfolio, rebalancing: { ...rebalancing, targets, [key]: value } });
+  const setTarget = (index, value) => updateRebalancing("targets", targets.map((t, k) => (k === index ? value : t)));
+
+  // A new holding starts empty with a zero target, so the other targets still add up
+  const addHolding = () => onResize({
+    holdings: [...holdings, emptyHolding(`Holding ${holdings.length + 1}`, periodCount)],
+    rebalancing: { ...rebalancing, targets: [...targets, 0] }
+  });
+
+  // The remaining targets are scaled back up to 100%
+  const removeHolding = (index) => {
+    const remaining = targets.filter((_, k) => k !== index);
+    const total = remaining.reduce((acc, t) => acc + t, 0);
+    onResize({
+      holdings: holdings.filter((_, k) => k !== index),
+      rebalancing: {
+        ...rebalancing,
+        targets: remaining.map(t => (total > 0 ? t / total : 1 / remaining.length))
+      }
+    });
+  };
+
+  return (
+    <div className="mt-4 mb-4 p-4 bg-gray-50 rounded-lg">
+      <h4 className="font-semibold text-slate-700 mb-2">Holdings</h4>
+      <div className="mb-3 flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          Rebalancing
+          <select
+            value={rebalancing.rule}
+            onChange={e => updateRebalancing("rule", e.target.value)}
+            className="rounded border px-2 py-1"
+          >
+            {Object.entries(REBALANCING_RULES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {rebalancing.rule === "threshold" && (
+          <label className="flex flex-col gap-1">
+            Band (decimal)
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              max="1"
+              value={rebalancing.band}
+              onChange={e => updateRebalancing("band", parseFloat(e.target.value))}
+              className={inputClass}
+            />
+          </label>
+        )}
+        {rebalancing.rule !== "none" && (
+          <span className={`pb-1 ${Math.abs(targetTotal - 1) > 1e-9 ? "text-red-700" : "text-gray-600"}`}>
+            Target weights add up to {Number((targetTotal * 100).toFixed(4))}%
+          </span>
+        )}
+      </div>
+
+      {holdings.map((holding, index) => {
+        const gridRows = INPUT_ROWS.map(key => ({
+          key,
+          id: `holding-${index}-${key}`,
+          label: key === "returns" ? `${INPUT_LABELS[key]} (decimal)` : `${INPUT_LABELS[key]} (${amountsIn})`,
+          help: i => `${INPUT_LABELS[key]} of ${holding.name} in year ${i + 1}`,
+          percent: key === "returns",
+          values: holding[key]
+        }));
+        return (
+          <div key={index} className="mb-4">
+            <div className="mb-2 flex flex-wrap items-end gap-4 text-sm">
+              <label className="flex flex-col gap-1">
+                Name
+                <input
+                  type="text"
+                  value={holding.name}
+                  onChange={e => rename(index, e.target.value)}
+                  className="w-48 rounded border px-2 py-1"
+                />
+              </label>
+              {rebalancing.rule !== "none" && (
+                <label className="flex flex-col gap-1">
+                  Target weight (decimal)
+                  <input
+                    type="number"
+                    step="0.05"
+                    min="0"
+                    max="1"
+                    value={targets[index]}
+                    onChange={e => setTarget(index, parseFloat(e.target.value))}
+                    className={inputClass}
+                  />
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={() => removeHolding(index)}
+                disabled={holdings.length <= 1}
+                className="rounded border border-gray-300 px-3 py-1 text-red-700 hover:bg-gray-50 disabled:opacity-30"
+              >
+                Remove holding
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse border border-gray-300 text-sm">
+                <caption className="sr-only">Inputs for {holding.name}</caption>
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th scope="col" className="border border-gray-300 px-3 py-2 text-left font-semibold">Parameter</th>
+                    {Array.from({ length: periodCount }, (_, i) => (
+                      <th key={i} scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
+                        Year {i + 1}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <InputGrid
+                    rows={gridRows}
+                    onEdit={(changes, options) => onEditRows(index, changes, options)}
+                    onUndo={onUndo}
+                    onRedo={onRedo}
+                  />
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={addHolding}
+        className="rounded border border-gray-300 bg-white px-3 py-1 text-sm hover:bg-gray-50"
+      >
+        + Add Holding
+      </button>
+      <p className="text-xs text-gray-600 mt-2">
+        Each holding has its own returns, dividends and flows, with the same timing and dates as the account above;
+        fees, taxes and the currency settings apply to the account only. Rebalancing trades between the holdings at each
+        year end, after the dividends.
+      </p>
+    </div>
+  );
+}
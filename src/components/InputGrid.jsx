@@ -0,0 +1,253 @@
+import { useRef, useState } from "react";
+import { parseLocaleNumber, editableNumber } from "../engine/format.js";
+
+const cellClass = "w-full rounded border px-2 py-1 text-center";
+
+// Cell text as typed or pasted from a spreadsheet, in the locale's separators, so "1,282.7" (en-US)
+// and "1.282,7" (de-DE) both read as expected. On rate rows a trailing % divides by 100. Blank reads
+// as 0 and text that is not a number as NaN.
+function parseCell(text, row, locale) {
+  return parseLocaleNumber(text, { locale, percent: Boolean(row.percent) });
+}
+
+// Tab-separated block as copied from Excel or Google Sheets; the trailing line break is dropped
+function parseBlock(text) {
+  return text.replace(/\r?\n$/, "").split(/\r?\n/).map(line => line.split("\t"));
+}
+
+const inRange = (value, a, b) => value >= Math.min(a, b) && value <= Math.max(a, b);
+
+// Spreadsheet-style grid of numeric input rows, rendered as table rows for the caller's table.
+// rows: [{ key, id, label, help(col), values, percent }], percent marking rate rows that accept "35%".
+// Numbers show and parse in locale, the browser's by default. Every change goes through onEdit(changes, { continuing })
+// where changes maps row keys to their new values; continuing marks further typing in the same cell,
+// so the caller can record one undo step per cell edit rather than per keystroke.
+// Text that is not a number never reaches onEdit: it stays in its cell, marked invalid, until it is
+// corrected, undone with Escape or the value underneath changes.
+export default function InputGrid({ rows, onEdit, onUndo, onRedo, locale }) {
+  const inputs = useRef({});
+  // The focused cell anchors the selection; extent is the opposite corner (Shift+arrows, Shift+click)
+  const [anchor, setAnchor] = useState(null);
+  const [extent, setExtent] = useState(null);
+  // Text of the cell being typed in, so partial numbers like "0." or "-" survive re-rendering
+  const [draft, setDraft] = useState(null);
+  const [editing, setEditing] = useState(false);
+  // Rejected text by "rowKey:c", with the value it was typed over
+  const [invalid, setInvalid] = useState({});
+
+  const columnCount = rows.length > 0 ? rows[0].values.length : 0;
+  const contains = (r, c) => rows[r] !== undefined && c >= 0 && c < columnCount;
+  const selected = (r, c) => anchor && extent && (anchor.r !== extent.r || anchor.c !== extent.c) &&
+    inRange(r, anchor.r, extent.r) && inRange(c, anchor.c, extent.c);
+
+  const invalidText = (row, c) => {
+    const entry = invalid[`${row.key}:${c}`];
+    return entry && entry.value === row.values[c] ? entry.text : null;
+  };
+
+  const markInvalid = (cells) => setInvalid(current => {
+    const next = { ...current };
+    Object.entries(cells).forEach(([cell, text]) => {
+      const [r, c] = cell.split(":").map(Number);
+      const { key, values } = rows[r];
+      if (text === null) {
+        delete next[`${key}:${c}`];
+      } else {
+        next[`${key}:${c}`] = { text, value: values[c] };
+      }
+    });
+    return next;
+  });
+
+  const focusCell = (r, c) => {
+    const input = inputs.current[`${r}:${c}`];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const endEdit = () => {
+    setDraft(null);
+    setEditing(false);
+  };
+
+  // Writes a map of { "r:c": value } as one edit
+  const write = (cells) => {
+    const changes = {};
+    Object.entries(cells).forEach(([cell, value]) => {
+      const [r, c] = cell.split(":").map(Number);
+      const { key, values } = rows[r];
+      changes[key] = changes[key] || [...values];
+      changes[key][c] = value;
+    });
+    if (Object.keys(changes).length > 0) onEdit(changes, { continuing: false });
+  };
+
+  const type = (r, c, text) => {
+    const { key, values } = rows[r];
+    const parsed = parseCell(text, rows[r], locale);
+    setDraft({ r, c, text });
+    if (isNaN(parsed)) {
+      markInvalid({ [`${r}:${c}`]: text });
+      return;
+    }
+    markInvalid({ [`${r}:${c}`]: null });
+    onEdit({ [key]: values.map((value, i) => (i === c ? parsed : value)) }, { continuing: editing });
+    setEditing(true);
+  };
+
+  // Like Excel: a one-row selection copies the row above into it, a taller one copies its top row down
+  const fillDown = () => {
+    const top = Math.min(anchor.r, extent.r);
+    const bottom = Math.max(anchor.r, extent.r);
+    const source = top === bottom ? top - 1 : top;
+    if (source < 0) return;
+    const cells = {};
+    for (let r = source + 1; r <= bottom; r++) {
+      for (let c = Math.min(anchor.c, extent.c); c <= Math.max(anchor.c, extent.c); c++) {
+        cells[`${r}:${c}`] = rows[source].values[c];
+      }
+    }
+    write(cells);
+  };
+
+  const fillRight = () => {
+    const left = Math.min(anchor.c, extent.c);
+    const right = Math.max(anchor.c, extent.c);
+    const source = left === right ? left - 1 : left;
+    if (source < 0) return;
+    const cells = {};
+    for (let r = Math.min(anchor.r, extent.r); r <= Math.max(anchor.r, extent.r); r++) {
+      for (let c = source + 1; c <= right; c++) {
+        cells[`${r}:${c}`] = rows[r].values[source];
+      }
+    }
+    write(cells);
+  };
+
+  const move = (r, c, extend) => {
+    if (!contains(r, c)) return;
+    if (extend) {
+      setExtent({ r, c });
+    } else {
+      focusCell(r, c);
+    }
+  };
+
+  const handleKeyDown = (e, r, c) => {
+    const command = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    const at = extent || { r, c };
+    const input = e.target;
+
+    if (command && key === "z") {
+      e.preventDefault();
+      endEdit();
+      (e.shiftKey ? onRedo : onUndo)();
+    } else if (command && key === "y") {
+      e.preventDefault();
+      endEdit();
+      onRedo();
+    } else if (command && key === "d") {
+      e.preventDefault();
+      endEdit();
+      fillDown();
+    } else if (command && key === "r") {
+      e.preventDefault();
+      endEdit();
+      fillRight();
+    } else if (e.key === "Escape" && (editing || invalidText(rows[r], c) !== null)) {
+      // Abandons the typing in this cell
+      e.preventDefault();
+      endEdit();
+      markInvalid({ [`${r}:${c}`]: null });
+      if (editing) onUndo();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      move(r + (e.shiftKey ? -1 : 1), c, false);
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      const offset = e.key === "ArrowUp" ? -1 : 1;
+      move((e.shiftKey ? at.r : r) + offset, e.shiftKey ? at.c : c, e.shiftKey);
+    } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      const offset = e.key === "ArrowLeft" ? -1 : 1;
+      // Without Shift the caret moves within the text until it reaches the edge of the cell
+      const atEdge = input.selectionStart === input.selectionEnd &&
+        input.selectionStart === (offset < 0 ? 0 : input.value.length);
+      if (e.shiftKey || atEdge) {
+        e.preventDefault();
+        move(e.shiftKey ? at.r : r, (e.shiftKey ? at.c : c) + offset, e.shiftKey);
+      }
+    }
+  };
+
+  // A block with tabs or line breaks fills the cells below and to the right; anything outside
+  // the grid is dropped, and a cell that is not a number keeps its value and is marked invalid.
+  // A single value pastes into the text as usual.
+  const handlePaste = (e, r, c) => {
+    const text = e.clipboardData.getData("text/plain");
+    const block = parseBlock(text);
+    if (block.length === 1 && block[0].length === 1) return;
+    e.preventDefault();
+    endEdit();
+    const cells = {};
+    const marks = {};
+    block.forEach((line, i) => line.forEach((cell, j) => {
+      if (!contains(r + i, c + j)) return;
+      const parsed = parseCell(cell, rows[r + i], locale);
+      marks[`${r + i}:${c + j}`] = isNaN(parsed) ? cell : null;
+      if (!isNaN(parsed)) cells[`${r + i}:${c + j}`] = parsed;
+    }));
+    markInvalid(marks);
+    write(cells);
+    setExtent({ r: Math.min(r + block.length - 1, rows.length - 1), c: Math.min(c + Math.max(...block.map(line => line.length)) - 1, columnCount - 1) });
+  };
+
+  return rows.map((row, r) => (
+    <tr key={row.key}>
+      <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold bg-gray-50">
+        {row.label}
+      </th>
+      {row.values.map((value, c) => {
+        const rejected = invalidText(row, c);
+        const shown = draft && draft.r === r && draft.c === c ? draft.text : rejected ?? editableNumber(value, locale);
+        return (
+          <td key={`${row.id}-${c}`} className={`border border-gray-300 px-2 py-2 ${selected(r, c) ? "bg-blue-50" : ""}`}>
+            <input
+              ref={input => { inputs.current[`${r}:${c}`] = input; }}
+              id={`${row.id}-${c}`}
+              type="text"
+              inputMode="decimal"
+              autoComplete="off"
+              value={shown}
+              onChange={e => type(r, c, e.target.value)}
+              onFocus={() => {
+                endEdit();
+                setAnchor({ r, c });
+                setExtent({ r, c });
+              }}
+              onBlur={endEdit}
+              onMouseDown={e => {
+                if (e.shiftKey && anchor) {
+                  e.preventDefault();
+                  setExtent({ r, c });
+                }
+              }}
+              onKeyDown={e => handleKeyDown(e, r, c)}
+              onPaste={e => handlePaste(e, r, c)}
+              className={`${cellClass} ${rejected !== null ? "border-red-500 bg-red-50" : ""}`}
+              aria-invalid={rejected !== null}
+              title={rejected !== null ? "Not a number" : undefined}
+              aria-describedby={`${row.id}-help-${c}`}
+            />
+            <span id={`${row.id}-help-${c}`} className="sr-only">
+              {row.help(c)}
+              {rejected !== null && ` (not a number, so the value stays ${editableNumber(value, locale)})`}
+            </span>
+          </td>
+        );
+      })}
+    </tr>
+  ));
+}
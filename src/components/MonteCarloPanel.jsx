@@ -0,0 +1,297 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  BarChart,
+  Bar,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip
+} from "recharts";
+import { DISTRIBUTIONS, PERCENTILES, validateSimulationConfig } from "../engine/simulation.js";
+
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+function parseHistory(text) {
+  return text.split(/[\s,;]+/).filter(Boolean).map(Number);
+}
+
+function Histogram({ title, bins, format }) {
+  const data = bins.map(bin => ({ label: format((bin.from + bin.to) / 2), count: bin.count }));
+  return (
+    <div>
+      <h4 className="font-semibold text-slate-700 mb-1">{title}</h4>
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 30 }} barCategoryGap={1}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" angle={-45} textAnchor="end" height={50} interval="preserveStartEnd" />
+            <YAxis allowDecimals={false} />
+            <Tooltip formatter={(value) => [value, "Paths"]} />
+            <Bar dataKey="count" fill="#4476FF" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+// Percentile bands per period: 5–95 light, 25–75 dark, median line
+function FanChart({ title, fan, format }) {
+  const data = fan.map((p, i) => ({
+    yearLabel: `${i + 1}`,
+    outer: [p.p5, p.p95],
+    inner: [p.p25, p.p75],
+    median: p.p50
+  }));
+  return (
+    <div>
+      <h4 className="font-semibold text-slate-700 mb-1">{title}</h4>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="yearLabel" label={{ value: 'Year', position: 'insideBottom', offset: -10 }} />
+            <YAxis tickFormatter={format} />
+            <Tooltip
+              formatter={(value, name) => [
+                Array.isArray(value) ? `${format(value[0])} – ${format(value[1])}` : format(value),
+                name
+              ]}
+            />
+            <Area dataKey="outer" stroke="none" fill="#4476FF" fillOpacity={0.15} name="5th–95th percentile" />
+            <Area dataKey="inner" stroke="none" fill="#4476FF" fillOpacity={0.35} name="25th–75th percentile" />
+            <Line dataKey="median" stroke="#4476FF" strokeWidth={2} dot={false} name="Median" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default function MonteCarloPanel({ scenario, disabled, format }) {
+  const [config, setConfig] = useState({
+    distribution: "normal",
+    mean: 0.07,
+    stdev: 0.15,
+    historyText: "0.12, -0.08, 0.21, 0.05, -0.15, 0.18, 0.09, 0.26, -0.04, 0.11",
+    paths: 5000,
+    seed: 1
+  });
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const simulationConfig = {
+    distribution: config.distribution,
+    mean: config.mean,
+    stdev: config.stdev,
+    history: parseHistory(config.historyText),
+    paths: config.paths,
+    seed: config.seed
+  };
+  const configErrors = validateSimulationConfig(simulationConfig);
+
+  const update = (key, value) => setConfig({ ...config, [key]: value });
+
+  const run = () => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL("../workers/simulation.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    setRunning(true);
+    setProgress(0);
+    setError("");
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setProgress(data.done);
+        return;
+      }
+      if (data.type === "result") setResult(data.result);
+      if (data.type === "error") setError(data.message);
+      setRunning(false);
+      worker.terminate();
+    };
+    // The worker failed to load, threw outside the simulation or sent a message that cannot be read
+    const fail = () => {
+      setError("The simulation stopped unexpectedly. Try running it again.");
+      setRunning(false);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail();
+    };
+    worker.onmessageerror = fail;
+    worker.postMessage({ scenario, config: simulationConfig });
+  };
+
+  const cancel = () => {
+    workerRef.current?.terminate();
+    setRunning(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="font-serif text-lg text-slate-700 mb-3">Monte Carlo Simulation</h3>
+      <p className="text-xs text-gray-600 mb-3">
+        Replaces the per-year returns with random draws and keeps every other input. Draws are capped to the
+        -100% to 500% input range. The same seed always reproduces the same paths.
+      </p>
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          Distribution
+          <select
+            value={config.distribution}
+            onChange={e => update("distribution", e.target.value)}
+            className="rounded border px-2 py-1"
+          >
+            {Object.entries(DISTRIBUTIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {config.distribution !== "bootstrap" && (
+          <>
+            <label className="flex flex-col gap-1">
+              Mean return (decimal)
+              <input
+                type="number"
+                step="0.01"
+                value={config.mean}
+                onChange={e => update("mean", parseFloat(e.target.value))}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Std. deviation (decimal)
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={config.stdev}
+                onChange={e => update("stdev", parseFloat(e.target.value))}
+                className={inputClass}
+              />
+            </label>
+          </>
+        )}
+        <label className="flex flex-col gap-1">
+          Paths
+          <input
+            type="number"
+            step="1000"
+            min="1"
+            max="100000"
+            value={config.paths}
+            onChange={e => update("paths", parseInt(e.target.value, 10))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Seed
+          <input
+            type="number"
+            step="1"
+            value={config.seed}
+            onChange={e => update("seed", parseInt(e.target.value, 10) || 0)}
+            className={inputClass}
+          />
+        </label>
+        {running ? (
+          <button type="button" onClick={cancel} className="rounded border border-gray-300 px-3 py-1 hover:bg-white">
+            Cancel ({format.number(progress, 0)} / {format.number(config.paths, 0)})
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={run}
+            disabled={disabled || configErrors.length > 0}
+            className="rounded border border-gray-300 px-3 py-1 hover:bg-white disabled:opacity-40"
+          >
+            Run Simulation
+          </button>
+        )}
+      </div>
+      {config.distribution === "bootstrap" && (
+        <label className="mt-3 flex flex-col gap-1 text-sm">
+          Historical returns (decimals separated by commas, spaces or new lines)
+          <textarea
+            value={config.historyText}
+            onChange={e => update("historyText", e.target.value)}
+            rows={3}
+            className="rounded border px-2 py-1 font-mono"
+          />
+        </label>
+      )}
+
+      {(configErrors.length > 0 || error) && (
+        <ul className="mt-3 list-disc list-inside text-sm text-red-800" role="alert">
+          {configErrors.map((message, i) => <li key={i}>{message}</li>)}
+          {error && <li>{error}</li>}
+        </ul>
+      )}
+
+      {result && (
+        <div className="mt-4 space-y-6">
+          <table className="w-full border-collapse border border-gray-300 text-sm">
+            <caption className="sr-only">Percentiles of simulated ending value, IRR and TWR</caption>
+            <thead>
+              <tr className="bg-white">
+                <th scope="col" className="border border-gray-300 px-3 py-2 text-left font-semibold">
+                  Outcome ({format.number(result.paths, 0)} paths)
+                </th>
+                {PERCENTILES.map(p => (
+                  <th key={p} scope="col" className="border border-gray-300 px-2 py-2 text-center font-semibold">
+                    {p === 50 ? "Median" : `P${p}`}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                ["Ending value", result.summary.endValue, format.money],
+                ["Money-weighted return (IRR)", result.summary.irr, format.percent],
+                ["Time-weighted return", result.summary.twr, format.percent]
+              ].map(([label, summary, formatValue]) => (
+                <tr key={label}>
+                  <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">{label}</th>
+                  {PERCENTILES.map(p => (
+                    <td key={p} className="border border-gray-300 px-2 py-2 text-center">{formatValue(summary[`p${p}`])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.failedIrr > 0 && (
+            <p className="text-xs text-amber-700">
+              The IRR could not be calculated for {format.number(result.failedIrr, 0)} paths; they are left out of the IRR figures.
+            </p>
+          )}
+
+          <div className="grid gap-4 md:grid-cols-3">
+            <Histogram title="Ending value" bins={result.histograms.endValue} format={format.money} />
+            <Histogram title="IRR" bins={result.histograms.irr} format={format.percent} />
+            <Histogram title="TWR" bins={result.histograms.twr} format={format.percent} />
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <FanChart title="Portfolio value percentiles" fan={result.valueFan} format={format.money} />
+            <FanChart
+              title="Time-weighted growth of 1 percentiles"
+              fan={result.twrFan}
+              format={value => format.number(value, 2)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+
+const HOLDING_COLORS = ["#4476FF", "#16a34a", "#ca8a04", "#9333ea", "#ea580c", "#0891b2", "#64748b"];
+
+const cellClass = "border border-gray-300 px-3 py-1 text-center";
+const rowHeaderClass = "border border-gray-300 px-3 py-1 text-left bg-gray-50";
+
+// Portfolio-level returns of the holdings, their values stacked over time and each holding's
+// contribution to the return of every year. result is runScenario's portfolio block.
+export default function PortfolioPanel({ result, format, animate }) {
+  const { holdings, periodReturns, contributionTotals } = result;
+  const rebalanced = holdings.some(holding => holding.trades.some(trade => trade !== 0));
+
+  // Year 0 is each holding's value after the first flows at the beginning of year 1
+  const chartData = [
+    { yearLabel: "0", ...Object.fromEntries(holdings.map((holding, k) => [`h${k}`, holding.startValues[0]])) },
+    ...periodReturns.map((_, i) => ({
+      yearLabel: `${i + 1}`,
+      ...Object.fromEntries(holdings.map((holding, k) => [`h${k}`, holding.endValues[i]]))
+    }))
+  ];
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg print:break-inside-avoid">
+      <h3 className="font-serif text-lg text-slate-700 mb-2">Multi-Holding Portfolio</h3>
+      <p className="mb-2 text-xs text-amber-700">
+        The holdings are analysed beside the account only: the summary, the main charts and every other panel still show
+        the single account from the main inputs, not these holdings.
+      </p>
+      <div className="mb-3 text-sm">
+        <p><strong>Portfolio Money-Weighted Return (IRR):</strong> {format.percent(result.irr)}</p>
+        {!isNaN(result.xirr) && (
+          <p><strong>Portfolio Money-Weighted Return (XIRR):</strong> {format.percent(result.xirr)}</p>
+        )}
+        <p><strong>Portfolio Time-Weighted Return:</strong> {format.percent(result.twr)}</p>
+      </div>
+
+      <h4 className="font-semibold text-slate-700 mb-1">Value by Holding</h4>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="yearLabel" label={{ value: 'Year', position: 'insideBottom', offset: -10 }} />
+            <YAxis tickFormatter={(value) => format.money(value, 0)} />
+            <Tooltip formatter={(value, name) => [format.money(value), name]} labelFormatter={(label) => `Year: ${label}`} />
+            <Legend verticalAlign="top" />
+            {holdings.map((holding, k) => (
+              <Area
+                key={k}
+                type="linear"
+                dataKey={`h${k}`}
+                name={holding.name}
+                stackId="holdings"
+                stroke={HOLDING_COLORS[k % HOLDING_COLORS.length]}
+                fill={HOLDING_COLORS[k % HOLDING_COLORS.length]}
+                fillOpacity={0.4}
+                isAnimationActive={animate}
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto mt-3">
+        <table className="border-collapse border border-gray-300 text-sm">
+          <caption className="text-left font-semibold mb-1">Contribution to return by year</caption>
+          <thead>
+            <tr className="bg-gray-50">
+              <th scope="col" className={rowHeaderClass}>Holding</th>
+              {periodReturns.map((_, i) => (
+                <th key={i} scope="col" className={cellClass}>Year {i + 1}</th>
+              ))}
+              <th scope="col" className={cellClass}>TWR (annualized)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holdings.map((holding, k) => (
+              <tr key={k}>
+                <th scope="row" className={rowHeaderClass}>{holding.name}</th>
+                {holding.contributions.map((contribution, i) => (
+                  <td key={i} className={cellClass}>
+                    <div className="font-semibold">{format.points(contribution)}</div>
+                    <div className="text-xs text-gray-600">
+                      {format.percent(holding.weights[i])} × {format.percent(holding.returns[i])}
+                    </div>
+                  </td>
+                ))}
+                <td className={cellClass}>{format.percent(holding.twr)}</td>
+              </tr>
+            ))}
+            <tr className="font-semibold">
+              <th scope="row" className={rowHeaderClass}>Total (Modified Dietz)</th>
+              {contributionTotals.map((total, i) => (
+                <td key={i} className={cellClass}>{format.percent(total)}</td>
+              ))}
+              <td className={cellClass} />
+            </tr>
+            <tr>
+              <th scope="row" className={rowHeaderClass}>Portfolio time-weighted return</th>
+              {periodReturns.map((value, i) => (
+                <td key={i} className={cellClass}>{format.percent(value)}</td>
+              ))}
+              <td className={cellClass}>{format.percent(result.twr)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {rebalanced && (
+        <div className="overflow-x-auto mt-3">
+          <table className="border-collapse border border-gray-300 text-sm">
+            <caption className="text-left font-semibold mb-1">Rebalancing trades at year end</caption>
+            <thead>
+              <tr className="bg-gray-50">
+                <th scope="col" className={rowHeaderClass}>Holding</th>
+                {periodReturns.map((_, i) => (
+                  <th key={i} scope="col" className={cellClass}>Year {i + 1}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {holdings.map((holding, k) => (
+                <tr key={k}>
+                  <th scope="row" className={rowHeaderClass}>{holding.name}</th>
+                  {holding.trades.map((trade, i) => (
+                    <td key={i} className={cellClass}>{format.amountDelta(trade)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-600 mt-2">
+        Each cell is the holding's contribution in percentage points: its weight (its share of the capital at work
+        during the year) times its return on that capital. The contributions add up to the portfolio's Modified Dietz
+        return, which equals the time-weighted return when every flow is at the beginning or end of the year and can
+        differ slightly otherwise. The portfolio IRR uses the combined cash flows of all holdings. Amounts are shown as
+        entered, before any currency or inflation view.
+      </p>
+    </div>
+  );
+}
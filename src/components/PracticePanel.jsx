@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { PRACTICE_QUESTIONS, PRACTICE_TOLERANCE, gradeAnswer } from "../engine/practice.js";
+
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+// Quiz on the live scenario: answers are graded against the current inputs, so editing them
+// changes the expected answers too
+export default function PracticePanel({ questions, result, format, onNewProblem }) {
+  const [answers, setAnswers] = useState({});
+  const [graded, setGraded] = useState(null);
+  const [hints, setHints] = useState({});
+  const [score, setScore] = useState({ correct: 0, attempted: 0 });
+
+  const check = () => {
+    const outcome = Object.fromEntries(questions.map(key => [
+      key,
+      gradeAnswer(parseFloat(answers[key]) / 100, result.metrics[key])
+    ]));
+    setGraded(outcome);
+    setScore({
+      correct: score.correct + Object.values(outcome).filter(Boolean).length,
+      attempted: score.attempted + questions.length
+    });
+  };
+
+  const next = () => {
+    setAnswers({});
+    setGraded(null);
+    setHints({});
+    onNewProblem();
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 rounded-lg">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-4">
+        <h3 className="font-serif text-lg text-slate-700">Practice Problem</h3>
+        <span className="text-sm">
+          Session score: <strong>{score.correct} / {score.attempted}</strong>
+        </span>
+      </div>
+      <p className="text-sm text-gray-700 mb-3">
+        Use the inputs and the detailed cash flow table to calculate each return. Enter percentages
+        (e.g. -3.98); answers within {format.number(PRACTICE_TOLERANCE * 100, 1)} percentage points are correct.
+      </p>
+      {result ? (
+        <div className="space-y-3 text-sm">
+          {questions.map(key => {
+            const question = PRACTICE_QUESTIONS[key];
+            return (
+              <div key={key} className="flex flex-wrap items-center gap-3">
+                <label htmlFor={`practice-${key}`} className="w-64 font-semibold">{question.name}</label>
+                <input
+                  id={`practice-${key}`}
+                  type="number"
+                  step="0.01"
+                  value={answers[key] ?? ""}
+                  onChange={e => setAnswers({ ...answers, [key]: e.target.value })}
+                  disabled={graded !== null}
+                  className={inputClass}
+                />
+                <span>%</span>
+                {graded && (
+                  <span className={graded[key] ? "text-green-700" : "text-red-700"}>
+                    {graded[key] ? "Correct" : "Not quite"}: {format.percent(result.metrics[key])}
+                  </span>
+                )}
+                {hints[key] ? (
+                  <span className="text-xs text-gray-700">
+                    {question.hint}{" "}
+                    {/* Scrolls without touching the address bar, which holds the #s= share link */}
+                    <button
+                      type="button"
+                      onClick={() => document.getElementById(question.row)?.scrollIntoView()}
+                      className="text-blue-700 underline"
+                    >
+                      See the table row
+                    </button>
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setHints({ ...hints, [key]: true })}
+                    className="text-xs text-blue-700 underline"
+                  >
+                    Hint
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          <div className="flex gap-2">
+            {graded === null ? (
+              <button
+                type="button"
+                onClick={check}
+                className="rounded border border-gray-300 bg-white px-3 py-1 hover:bg-gray-50"
+              >
+                Check Answers
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={next}
+                className="rounded border border-gray-300 bg-white px-3 py-1 hover:bg-gray-50"
+              >
+                New Problem
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-red-700">Fix the input errors to continue, or start a new problem.</p>
+      )}
+    </div>
+  );
+}
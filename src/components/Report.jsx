@@ -0,0 +1,166 @@
+import { DEFAULT_CURRENCY, DEFAULT_UNIT_SCALE, TIMING_POINTS, resolveTiming, unitLabel } from "../engine/index.js";
+import { resolveRebalancing } from "../engine/portfolio.js";
+
+// Print layout pieces. The report is laid out at the printable width of the page (page width less
+// PAGE_MARGIN on each side), so the charts measure the same width on screen as on paper.
+export const PAGE_SIZES = {
+  A4: { name: "A4", size: "A4", contentWidth: "180mm" },
+  Letter: { name: "US Letter", size: "letter", contentWidth: "185.9mm" }
+};
+
+const PAGE_MARGIN = "15mm";
+
+const cellClass = "border border-gray-300 px-2 py-1 text-center";
+const rowHeaderClass = "border border-gray-300 px-2 py-1 text-left font-semibold";
+
+// Toolbar (screen only), @page rule and report title block
+export function ReportHeader({ name, pageSize, onPageSizeChange, onClose }) {
+  const prepared = new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+
+  return (
+    <>
+      <style>{`@page { size: ${PAGE_SIZES[pageSize].size} portrait; margin: ${PAGE_MARGIN}; }`}</style>
+      <div className="mb-6 flex flex-wrap items-center gap-2 text-sm print:hidden">
+        <label className="flex items-center gap-2">
+          Page size
+          <select
+            value={pageSize}
+            onChange={e => onPageSizeChange(e.target.value)}
+            className="rounded border px-2 py-1"
+          >
+            {Object.entries(PAGE_SIZES).map(([key, page]) => (
+              <option key={key} value={key}>{page.name}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="rounded border border-gray-300 px-3 py-1 hover:bg-gray-50"
+        >
+          Print / Save as PDF
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded border border-gray-300 px-3 py-1 hover:bg-gray-50"
+        >
+          Back to Editor
+        </button>
+      </div>
+      <div className="mb-6 border-b border-gray-300 pb-3">
+        <p className="font-serif text-2xl text-slate-800">{name}</p>
+        <p className="text-xs text-gray-600">Prepared {prepared}</p>
+      </div>
+    </>
+  );
+}
+
+// e.g. "rebalanced to 60% / 40% every year end."
+function rebalancingText({ rule, targets, band }, percent) {
+  if (rule === "none") return "no rebalancing.";
+  const to = `rebalanced to ${targets.map(target => percent(target)).join(" / ")}`;
+  return rule === "annual" ? `${to} every year end.` : `${to} when a weight drifts more than ${percent(band)} from its target.`;
+}
+
+// Read-only copy of the inputs, one column per year like the detail table
+export function ReportInputs({ scenario, format }) {
+  const { investment, returns, divReinvested, divNotReinvested, withdrawals, benchmark, inflation, currency, dates, fees, taxes, portfolio } = scenario;
+  const { percent } = format;
+  const unit = unitLabel(scenario.unitScale ?? DEFAULT_UNIT_SCALE, scenario.currencyCode ?? DEFAULT_CURRENCY);
+  const rows = [
+    [`Investment (${unit})`, investment, format.input],
+    ["Return", returns, percent],
+    [`Dividend Reinvested (${unit})`, divReinvested, format.input],
+    [`Dividend Not Reinvested (${unit})`, divNotReinvested, format.input],
+    [`Withdrawal (${unit})`, withdrawals, format.input],
+    benchmark && ["Benchmark Return", benchmark, percent],
+    inflation && ["Inflation", inflation, percent],
+    currency && [`Exchange Rate at Year End (${currency.base} per ${currency.local})`, currency.rates, value => format.number(value, 4)],
+    dates && ["Period end date", dates.periodEnds, value => value],
+    dates && ["Investment date", dates.investment, value => value],
+    dates && ["Withdrawal date", dates.withdrawal, value => value]
+  ].filter(Boolean);
+
+  const timing = resolveTiming(scenario);
+  const when = flow => TIMING_POINTS[timing[flow]].name.toLowerCase();
+  const settings = [
+    `Timing: new investment at the ${when("investment")}, withdrawals at the ${when("withdrawal")} and dividends not ` +
+      `reinvested at the ${when("dividend")} of each year; paid-out dividends ${timing.dividendsInTwr ? "count" : "do not count"} toward the TWR.`,
+    dates && `Dated cash flows from ${dates.start} (actual/365).`,
+    currency && `${currency.local} holding reported in ${currency.base}; rate at inception ${format.number(currency.startRate, 4)}.`,
+    fees && `Fees: ${percent(fees.managementRate)} management (${fees.managementBasis === "start" ? "start-of-year" : "average"} balance), ` +
+      `${percent(fees.performanceRate)} performance over a ${percent(fees.hurdleRate)} hurdle` +
+      `${fees.highWaterMark ? " with a high-water mark" : ""}, ${format.input(fees.transactionFee)} ${unit} per transaction.`,
+    taxes && `Taxes: ${percent(taxes.dividendRate)} on dividends, ${percent(taxes.capitalGainsRate)} on capital gains ` +
+      `(${taxes.gainsBasis === "realized" ? "when realized" : "marked to market yearly"}).`,
+    portfolio && `Holdings: ${portfolio.holdings.map(holding => holding.name).join(", ")}; ${rebalancingText(resolveRebalancing(portfolio), percent)}`
+  ].filter(Boolean);
+
+  return (
+    <div className="mb-6 print:break-inside-avoid">
+      <h3 className="font-serif text-lg text-slate-700 mb-2">Input Parameters</h3>
+      <table className="w-full border-collapse border border-gray-300 text-xs">
+        <thead>
+          <tr className="bg-gray-50">
+            <th scope="col" className={rowHeaderClass}>Input</th>
+            {investment.map((_, i) => (
+              <th key={i} scope="col" className={cellClass}>Year {i + 1}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, values, format]) => (
+            <tr key={label}>
+              <th scope="row" className={rowHeaderClass}>{label}</th>
+              {values.map((value, i) => (
+                <td key={i} className={cellClass}>{format(value)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {settings.length > 0 && (
+        <ul className="mt-2 text-xs text-gray-700">
+          {settings.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Methodology notes for the metrics in the summary; optional features add their own notes
+export function ReportFootnotes({ scenario, result }) {
+  const unit = unitLabel(scenario.unitScale ?? DEFAULT_UNIT_SCALE, scenario.currencyCode ?? DEFAULT_CURRENCY);
+  const timing = resolveTiming(scenario);
+  const when = flow => TIMING_POINTS[timing[flow]].name.toLowerCase();
+  const notes = [
+    "Money-weighted return (IRR): the rate that sets the net present value of the investor's cash flows to zero. " +
+      `New investment is at the ${when("investment")} of each year, withdrawals at the ${when("withdrawal")} and ` +
+      `dividends not reinvested at the ${when("dividend")}, and the final balance is treated as a closing inflow.`,
+    scenario.dates && "XIRR discounts the same cash flows on their actual dates, measuring time as actual days / 365.",
+    `Time-weighted return: each year's return (gain plus ${timing.dividendsInTwr ? "dividends" : "reinvested dividends"}, ` +
+      "linked at any flows within the year) chain-linked across the years and annualized geometrically, so it is " +
+      "unaffected by the size and timing of cash flows.",
+    "MWR − TWR gap: contributions and withdrawals are added back in time order, starting from the first " +
+      "investment alone; each flow's effect is the change in the IRR it causes, so the effects sum to the gap.",
+    "Modified Dietz weights each external flow by the fraction of the period it was invested; the linked version " +
+      "applies this year by year and chain-links the results.",
+    "Geometric and arithmetic means use the price returns only, excluding dividends.",
+    result.fees && "Returns are net of fees unless labelled gross of fees.",
+    result.taxes && "Returns are after tax unless labelled pre-tax.",
+    result.inflation && "Real returns use (1 + nominal) / (1 + inflation) − 1; the real IRR discounts constant-dollar cash flows.",
+    result.currency && "Base-currency returns satisfy (1 + base) = (1 + local) × (1 + currency).",
+    `Amounts are in ${unit} and figures are rounded for display. Past or simulated performance does not ` +
+      "guarantee future results."
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-6 border-t border-gray-300 pt-3 text-xs text-gray-700 print:break-inside-avoid">
+      <p className="font-semibold mb-1">Methodology</p>
+      <ol className="list-decimal space-y-1 pl-5">
+        {notes.map(note => <li key={note}>{note}</li>)}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useMemo, useState } from "react";
+import { RISK_STATS, riskStats } from "../engine/index.js";
+
+// Risk measures for the live scenario; the risk-free rate is per period, like the return inputs
+export default function RiskPanel({ result, returns, format }) {
+  const formatStat = (stat, value) => (stat.isRatio ? format.ratio(value) : format.percent(value));
+
+  const [riskFreeRate, setRiskFreeRate] = useState(0.02);
+
+  const stats = useMemo(
+    () => riskStats({ ...result, returns, twr: result.metrics.twr }, isNaN(riskFreeRate) ? 0 : riskFreeRate),
+    [result, returns, riskFreeRate]
+  );
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-4">
+        <h3 className="font-serif text-lg text-slate-700">Risk and Risk-Adjusted Performance</h3>
+        <label className="flex items-center gap-2 text-sm">
+          Risk-free rate (decimal)
+          <input
+            type="number"
+            step="0.005"
+            value={riskFreeRate}
+            onChange={e => setRiskFreeRate(parseFloat(e.target.value))}
+            className="w-24 rounded border px-2 py-1 text-center"
+          />
+        </label>
+      </div>
+      <div className="grid grid-cols-2 gap-4 text-sm">
+        <div>
+          {RISK_STATS.map(stat => (
+            <p key={stat.key}><strong>{stat.name}:</strong> {formatStat(stat, stats[stat.key])}</p>
+          ))}
+        </div>
+        <div>
+          <p><strong>Price Return Std. Dev. (Sample):</strong> {formatStat({}, stats.price.sampleStdev)}</p>
+          <p><strong>Price Return Std. Dev. (Population):</strong> {formatStat({}, stats.price.populationStdev)}</p>
+          <p><strong>Price Return Downside Deviation:</strong> {formatStat({}, stats.price.downsideDeviation)}</p>
+        </div>
+      </div>
+      <p className="text-xs text-gray-600 mt-3">
+        Dispersion, Sharpe and Sortino use the TWR sub-period returns (including dividends). Sharpe divides the
+        mean excess return by the sample standard deviation; Sortino divides it by the downside deviation below the
+        risk-free rate. Maximum drawdown is measured on the year-end balances, so withdrawals and new investment
+        move it too. Calmar divides the annualized TWR by the maximum drawdown.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+// Line and bar colours for compared scenarios; the current scenario keeps the app's blue
+export const COMPARISON_COLORS = ["#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#ca8a04"];
+
+const TOLERANCE = 1e-9;
+
+function comparisonRows(metrics, format) {
+  return [
+    { label: "Periods", value: r => r.periodCount, format: v => String(v), formatDelta: v => `${v > 0 ? "+" : ""}${v}` },
+    { label: "Final balance", value: r => r.endValues[r.endValues.length - 1], format: format.money, formatDelta: format.amountDelta },
+    {
+      label: "Total net cash flow (excl. final balance)",
+      value: r => [...r.cashFlows.slice(0, -1), ...r.midPeriodCashFlows].reduce((acc, cf) => acc + cf, 0),
+      format: format.money,
+      formatDelta: format.amountDelta
+    },
+    ...metrics.map(metric => ({
+      label: metric.name,
+      value: r => r.metrics[metric.key],
+      format: format.percent,
+      formatDelta: format.points
+    }))
+  ];
+}
+
+// Diff table of engine outputs; every column is compared with the first (the current scenario)
+export default function ScenarioComparison({ columns, metrics, format, onRemove }) {
+  const [baseline] = columns;
+  const rows = comparisonRows(metrics, format);
+
+  return (
+    <div className="mb-6 overflow-x-auto">
+      <h3 className="font-serif text-lg text-slate-700 mb-3">Scenario Comparison</h3>
+      <table className="w-full border-collapse border border-gray-300 text-sm">
+        <caption className="sr-only">
+          Return metrics for each compared scenario; cells that differ from the current scenario are highlighted
+        </caption>
+        <thead>
+          <tr className="bg-gray-50">
+            <th scope="col" className="border border-gray-300 px-3 py-2 text-left font-semibold">Output</th>
+            {columns.map((column, k) => (
+              <th key={column.id} scope="col" className="border border-gray-300 px-3 py-2 text-center font-semibold">
+                <span style={{ color: column.color }}>{column.name}</span>
+                {k > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onRemove(column.id)}
+                    className="ml-2 px-1 rounded border text-xs font-normal text-red-700"
+                    aria-label={`Remove ${column.name} from comparison`}
+                  >
+                    ×
+                  </button>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const base = baseline.result ? row.value(baseline.result) : NaN;
+            return (
+              <tr key={row.label}>
+                <th scope="row" className="border border-gray-300 px-3 py-2 font-semibold">{row.label}</th>
+                {columns.map((column, k) => {
+                  if (!column.result) {
+                    return (
+                      <td key={column.id} className="border border-gray-300 px-2 py-2 text-center text-red-700">
+                        Invalid inputs
+                      </td>
+                    );
+                  }
+                  const value = row.value(column.result);
+                  const bothNaN = isNaN(value) && isNaN(base);
+                  const changed = k > 0 && !bothNaN && !(Math.abs(value - base) <= TOLERANCE * Math.max(1, Math.abs(base)));
+                  return (
+                    <td
+                      key={column.id}
+                      className={`border border-gray-300 px-2 py-2 text-center ${changed ? "bg-amber-100 font-semibold" : ""}`}
+                    >
+                      {row.format(value)}
+                      {changed && !isNaN(value) && !isNaN(base) && (
+                        <div className="text-xs font-normal text-gray-600">{row.formatDelta(value - base)}</div>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600 mt-2">
+        Highlighted cells differ from the current scenario. Moving a contribution between years typically changes
+        the money-weighted return (IRR) while leaving the time-weighted return unchanged.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import {
+  deleteScenario,
+  duplicateScenario,
+  listScenarios,
+  loadSavedScenario,
+  renameScenario,
+  saveScenario,
+  shareUrl
+} from "../scenarios.js";
+
+const buttonClass = "rounded border border-gray-300 px-2 py-1 text-xs hover:bg-gray-50";
+
+export default function ScenarioLibrary({ name, onNameChange, scenario, onLoad }) {
+  const [entries, setEntries] = useState(() => listScenarios());
+  const [status, setStatus] = useState("");
+
+  const copyLink = async () => {
+    const url = shareUrl(name, scenario);
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Link copied to clipboard");
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const load = (id) => {
+    const saved = loadSavedScenario(id);
+    if (saved) {
+      onLoad(saved.name, saved.scenario);
+      setStatus(`Loaded "${saved.name}"`);
+    } else {
+      setStatus("This scenario was saved by a newer version of the tool and cannot be loaded");
+    }
+  };
+
+  const rename = (entry) => {
+    const newName = window.prompt("Rename scenario", entry.name);
+    if (newName && newName.trim()) setEntries(renameScenario(entry.id, newName.trim()));
+  };
+
+  const remove = (entry) => {
+    if (window.confirm(`Delete "${entry.name}"?`)) setEntries(deleteScenario(entry.id));
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="font-serif text-lg text-slate-700 mb-3">Scenarios</h3>
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="scenario-name" className="text-sm font-semibold">Name</label>
+        <input
+          id="scenario-name"
+          type="text"
+          value={name}
+          onChange={e => onNameChange(e.target.value)}
+          className="rounded border px-2 py-1"
+        />
+        <button
+          type="button"
+          className={buttonClass}
+          onClick={() => {
+            setEntries(saveScenario(name.trim() || "Untitled scenario", scenario));
+            setStatus(`Saved "${name}"`);
+          }}
+        >
+          Save
+        </button>
+        <button type="button" className={buttonClass} onClick={copyLink}>
+          Copy Link
+        </button>
+        {status && <span className="text-xs text-gray-600" role="status">{status}</span>}
+      </div>
+
+      {entries.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-200 text-sm">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+              <span>
+                <strong>{entry.name}</strong>{" "}
+                <span className="text-xs text-gray-500">saved {new Date(entry.savedAt).toLocaleString()}</span>
+              </span>
+              <span className="flex gap-1">
+                <button type="button" className={buttonClass} onClick={() => load(entry.id)}>Load</button>
+                <button type="button" className={buttonClass} onClick={() => rename(entry)}>Rename</button>
+                <button type="button" className={buttonClass} onClick={() => setEntries(duplicateScenario(entry.id))}>
+                  Duplicate
+                </button>
+                <button type="button" className={`${buttonClass} text-red-700`} onClick={() => remove(entry)}>
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine
+} from "recharts";
+import { INPUT_LABELS, INPUT_ROWS } from "../engine/index.js";
+import { SENSITIVITY_METRICS, axisValues, dataTable, tornado } from "../engine/sensitivity.js";
+
+const inputClass = "w-24 rounded border px-2 py-1 text-center";
+
+// Inputs shown in each tornado, largest swing first
+const TORNADO_ITEMS = 10;
+
+// A round default shift for amounts: about a tenth of the largest amount in the scenario
+function defaultAmountShift(scenario) {
+  const largest = Math.max(...["investment", "divReinvested", "divNotReinvested", "withdrawals"]
+    .flatMap(row => scenario[row].map(Math.abs)));
+  if (!(largest > 0)) return 1;
+  const tenth = largest / 10;
+  const magnitude = 10 ** Math.floor(Math.log10(tenth));
+  return [1, 2, 5, 10].map(m => m * magnitude).find(step => step >= tenth / 1.5);
+}
+
+// Blue for positive returns and red for negative, stronger the further from zero
+function heatColor(value, largest) {
+  if (!isFinite(value)) return "#f3f4f6";
+  const strength = largest > 0 ? 0.1 + 0.6 * Math.min(1, Math.abs(value) / largest) : 0.1;
+  return value >= 0 ? `rgba(68, 118, 255, ${strength})` : `rgba(220, 38, 38, ${strength})`;
+}
+
+function CellPicker({ label, cell, periodCount, onChange }) {
+  return (
+    <label className="flex items-center gap-2">
+      {label}
+      <select
+        value={cell.row}
+        onChange={e => onChange({ ...cell, row: e.target.value })}
+        className="rounded border px-2 py-1"
+      >
+        {INPUT_ROWS.map(row => (
+          <option key={row} value={row}>{INPUT_LABELS[row]}</option>
+        ))}
+      </select>
+      <select
+        value={Math.min(cell.period, periodCount - 1)}
+        onChange={e => onChange({ ...cell, period: Number(e.target.value) })}
+        className="rounded border px-2 py-1"
+        aria-label={`${label} year`}
+      >
+        {Array.from({ length: periodCount }, (_, i) => (
+          <option key={i} value={i}>Year {i + 1}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Which inputs drive the returns: a tornado of one-at-a-time ± shifts for the IRR and the TWR, and a
+// two-way data table of the IRR as a heatmap
+export default function SensitivityPanel({ scenario, format, amountsIn }) {
+  const periodCount = scenario.investment.length;
+  const [returnShift, setReturnShift] = useState(5);
+  const [amountShift, setAmountShift] = useState(() => defaultAmountShift(scenario));
+  const [rowCell, setRowCell] = useState({ row: "returns", period: Math.min(1, periodCount - 1) });
+  const [columnCell, setColumnCell] = useState({ row: "investment", period: Math.min(1, periodCount - 1) });
+
+  const shifts = {
+    returns: isNaN(returnShift) ? 0 : Math.abs(returnShift) / 100,
+    amounts: isNaN(amountShift) ? 0 : Math.abs(amountShift)
+  };
+  const stepFor = row => (row === "returns" ? shifts.returns : shifts.amounts);
+  const rowAxis = { ...rowCell, period: Math.min(rowCell.period, periodCount - 1) };
+  const columnAxis = { ...columnCell, period: Math.min(columnCell.period, periodCount - 1) };
+
+  const swings = useMemo(
+    () => tornado(scenario, shifts),
+    [scenario, shifts.returns, shifts.amounts]
+  );
+
+  const table = useMemo(() => {
+    const rowValues = axisValues(scenario, rowAxis, stepFor(rowAxis.row));
+    const columnValues = axisValues(scenario, columnAxis, stepFor(columnAxis.row));
+    return {
+      rowValues,
+      columnValues,
+      values: dataTable(scenario, { ...rowAxis, values: rowValues }, { ...columnAxis, values: columnValues }, "irr")
+    };
+  }, [scenario, rowAxis.row, rowAxis.period, columnAxis.row, columnAxis.period, shifts.returns, shifts.amounts]);
+
+  const showValue = (row, value) => (row === "returns" ? format.percent(value) : format.input(value));
+  const cellName = ({ row, period }) => `Year ${period + 1} ${INPUT_LABELS[row]}`;
+  const largest = Math.max(0, ...table.values.flat().filter(isFinite).map(Math.abs));
+
+  // Tornado rows in percentage points of the metric, for the axis
+  const tornadoData = metric => swings.items
+    .map(item => ({
+      label: `Y${item.period + 1} ${INPUT_LABELS[item.row]}`,
+      down: (item.low[metric] - swings.base[metric]) * 100,
+      up: (item.high[metric] - swings.base[metric]) * 100
+    }))
+    .filter(item => isFinite(item.down) && isFinite(item.up))
+    .sort((a, b) => Math.max(Math.abs(b.down), Math.abs(b.up)) - Math.max(Math.abs(a.down), Math.abs(a.up)))
+    .slice(0, TORNADO_ITEMS);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="font-serif text-lg text-slate-700 mb-3">Sensitivity Analysis</h3>
+      <div className="mb-3 flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          Move returns by ±
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={returnShift}
+            onChange={e => setReturnShift(parseFloat(e.target.value))}
+            className={inputClass}
+          />
+          pp
+        </label>
+        <label className="flex items-center gap-2">
+          Move amounts by ±
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={amountShift}
+            onChange={e => setAmountShift(parseFloat(e.target.value))}
+            className={inputClass}
+          />
+          {amountsIn}
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {Object.entries(SENSITIVITY_METRICS).map(([metric, name]) => {
+          const data = tornadoData(metric);
+          return (
+            <div key={metric}>
+              <h4 className="font-semibold text-slate-700 mb-1">
+                {name}: {format.percent(swings.base[metric])}
+              </h4>
+              <div style={{ height: Math.max(120, 40 + data.length * 32) }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={data} layout="vertical" margin={{ top: 10, right: 20, left: 10, bottom: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" tickFormatter={(value) => format.number(value, 1)} />
+                    <YAxis type="category" dataKey="label" width={150} interval={0} />
+                    <Tooltip formatter={(value, series) => [format.points(value / 100), series]} />
+                    <Legend verticalAlign="top" />
+                    <ReferenceLine x={0} stroke="#000000" />
+                    <Bar dataKey="down" name="Input lowered" fill="#dc2626" />
+                    <Bar dataKey="up" name="Input raised" fill="#4476FF" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Each bar is the change in the return, in percentage points, when one input moves by the shift above and
+        every other input stays put. Shifted values stay within the allowed input ranges, so an input already at
+        a limit moves one way only. The {TORNADO_ITEMS} inputs with the largest swings are shown.
+      </p>
+
+      <h4 className="font-semibold text-slate-700 mt-4 mb-2">Two-Way Data Table: {SENSITIVITY_METRICS.irr}</h4>
+      <div className="mb-3 flex flex-wrap items-center gap-4 text-sm">
+        <CellPicker label="Rows" cell={rowAxis} periodCount={periodCount} onChange={setRowCell} />
+        <CellPicker label="Columns" cell={columnAxis} periodCount={periodCount} onChange={setColumnCell} />
+      </div>
+      <div className="overflow-x-auto">
+        <table className="border-collapse border border-gray-300 text-sm">
+          <caption className="sr-only">
+            IRR for combinations of {cellName(rowAxis)} (rows) and {cellName(columnAxis)} (columns)
+          </caption>
+          <thead>
+            <tr className="bg-gray-50">
+              <th scope="col" className="border border-gray-300 px-3 py-1 text-left">
+                {cellName(rowAxis)} ↓ / {cellName(columnAxis)} →
+              </th>
+              {table.columnValues.map(value => (
+                <th key={value} scope="col" className="border border-gray-300 px-3 py-1">
+                  {showValue(columnAxis.row, value)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rowValues.map((rowValue, i) => (
+              <tr key={rowValue}>
+                <th scope="row" className="border border-gray-300 px-3 py-1 bg-gray-50">
+                  {showValue(rowAxis.row, rowValue)}
+                </th>
+                {table.columnValues.map((columnValue, j) => {
+                  const value = table.values[i][j];
+                  const isCurrent = rowValue === scenario[rowAxis.row][rowAxis.period] &&
+                    columnValue === scenario[columnAxis.row][columnAxis.period];
+                  return (
+                    <td
+                      key={columnValue}
+                      className={`border px-3 py-1 text-center ${isCurrent ? "border-2 border-slate-700 font-semibold" : "border-gray-300"}`}
+                      style={{ backgroundColor: heatColor(value, largest) }}
+                    >
+                      {format.percent(value)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Rows and columns step by the shifts above either side of the current values (outlined). Blue cells are
+        positive returns and red cells negative, stronger further from zero. When both axes name the same input,
+        the column value is used.
+      </p>
+    </div>
+  );
+}
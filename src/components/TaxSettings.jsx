@@ -0,0 +1,56 @@
+const inputClass = "w-28 rounded border px-2 py-1 text-center";
+
+// Tax inputs; rates are decimals like the return inputs
+export default function TaxSettings({ taxes, onChange }) {
+  const update = (key, value) => onChange({ ...taxes, [key]: value });
+
+  return (
+    <div className="mb-4 p-4 bg-gray-50 rounded-lg">
+      <h4 className="font-semibold text-slate-700 mb-2">Taxes</h4>
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          Dividend tax rate (decimal)
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            max="1"
+            value={taxes.dividendRate}
+            onChange={e => update("dividendRate", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Capital gains tax rate (decimal)
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            max="1"
+            value={taxes.capitalGainsRate}
+            onChange={e => update("capitalGainsRate", parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Tax gains
+          <select
+            value={taxes.gainsBasis}
+            onChange={e => update("gainsBasis", e.target.value)}
+            className="rounded border px-2 py-1"
+          >
+            <option value="realized">When realized (on withdrawal)</option>
+            <option value="markToMarket">Every year (mark-to-market)</option>
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        {taxes.gainsBasis === "realized"
+          ? "A withdrawal sells the same share of every holding and realizes that share of the gain over cost. The portfolio is liquidated at the end of the last year, so the after-tax returns are post-liquidation."
+          : "Each year's gain after fees is taxed at year end."}
+        {" "}Losses carry forward against later gains. Tax on reinvested dividends and gains is paid from the
+        portfolio; paid-out dividends are received net of tax.
+      </p>
+    </div>
+  );
+}
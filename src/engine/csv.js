@@ -0,0 +1,346 @@
+import {
+  AMOUNT_UNITS,
+  BENCHMARK_STATS,
+  DEFAULT_TIMING,
+  DEFAULT_UNIT_SCALE,
+  INPUT_ROWS,
+  TIMING_POINTS,
+  applicableMetrics,
+  inputRules,
+  resolveTiming,
+  validateScenario
+} from "./index.js";
+
+// CSV column header for each scenario input row
+export const CSV_COLUMNS = {
+  investment: "investment",
+  returns: "return",
+  divReinvested: "div_reinvested",
+  divNotReinvested: "div_not_reinvested",
+  withdrawals: "withdrawal"
+};
+
+// Optional per-period benchmark return column
+export const CSV_BENCHMARK_COLUMN = "benchmark_return";
+
+// Optional per-period inflation column
+export const CSV_INFLATION_COLUMN = "inflation";
+
+// Optional dated-mode columns, mapped to the keys of scenario.dates; start_date is the period start
+export const CSV_DATE_COLUMNS = {
+  start: "start_date",
+  periodEnds: "end_date",
+  investment: "investment_date",
+  withdrawal: "withdrawal_date"
+};
+
+// Optional columns for the amount unit and currency code, repeated on every row and read from the
+// first, so a file exported in one unit is not read in another
+export const CSV_SETTING_COLUMNS = {
+  unitScale: "unit_scale",
+  currencyCode: "currency_code"
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+function toCsvField(value) {
+  if (typeof value === "number") {
+    return isFinite(value) ? String(Number(value.toFixed(6))) : "";
+  }
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(toCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Parses one CSV row per period. Returns { scenario, errors }; each error names its row
+// (counting the header as row 1) or column, and range errors reuse the inputRules messages for
+// amounts in unitScale. A unit_scale column overrides unitScale. Without start_date the dates are
+// only used when startDate is passed in.
+export function importScenarioCsv(text, { startDate, unitScale: defaultUnitScale = DEFAULT_UNIT_SCALE } = {}) {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const errors = [];
+
+  const knownColumns = [
+    ...Object.values(CSV_COLUMNS), CSV_BENCHMARK_COLUMN, CSV_INFLATION_COLUMN, ...Object.values(CSV_DATE_COLUMNS),
+    ...Object.values(CSV_SETTING_COLUMNS)
+  ];
+  columns.forEach(name => {
+    if (!knownColumns.includes(name)) errors.push(`Column "${name}": unknown column`);
+  });
+  INPUT_ROWS.forEach(row => {
+    if (!columns.includes(CSV_COLUMNS[row])) errors.push(`Column "${CSV_COLUMNS[row]}": missing`);
+  });
+  if (records.length === 0) errors.push("At least one period is required");
+  if (errors.length > 0) return { scenario: null, errors };
+
+  const cell = (record, name) => (record[columns.indexOf(name)] ?? "").trim();
+  // A setting's value from the first row; later rows may repeat it or leave it blank
+  const setting = name => {
+    if (!columns.includes(name)) return undefined;
+    const value = cell(records[0], name);
+    records.forEach((record, r) => {
+      if (r > 0 && cell(record, name) !== "" && cell(record, name) !== value) {
+        errors.push(`Row ${r + 2}, column "${name}": must match the first row`);
+      }
+    });
+    return value;
+  };
+
+  const unitText = setting(CSV_SETTING_COLUMNS.unitScale);
+  const unitScale = unitText === undefined ? defaultUnitScale : Number(unitText);
+  if (unitText !== undefined && !AMOUNT_UNITS.some(unit => unit.scale === unitScale)) {
+    const scales = AMOUNT_UNITS.map(unit => unit.scale).join(", ");
+    errors.push(`Row 2, column "${CSV_SETTING_COLUMNS.unitScale}": "${unitText}" must be one of ${scales}`);
+  }
+  if (errors.length > 0) return { scenario: null, errors };
+  const numberColumn = (name, { min, max, message }) => records.map((record, r) => {
+    const raw = cell(record, name);
+    const value = raw === "" ? NaN : Number(raw);
+    if (isNaN(value)) {
+      errors.push(`Row ${r + 2}, column "${name}": "${raw}" is not a number`);
+    } else if (value < min || value > max) {
+      errors.push(`Row ${r + 2}, column "${name}": ${message}`);
+    }
+    return value;
+  });
+
+  const rules = inputRules(unitScale);
+  const scenario = { unitScale };
+  const currencyCode = setting(CSV_SETTING_COLUMNS.currencyCode);
+  if (currencyCode) scenario.currencyCode = currencyCode;
+  INPUT_ROWS.forEach(row => {
+    scenario[row] = numberColumn(CSV_COLUMNS[row], rules[row]);
+  });
+  scenario.benchmark = columns.includes(CSV_BENCHMARK_COLUMN)
+    ? numberColumn(CSV_BENCHMARK_COLUMN, rules.benchmark)
+    : null;
+  scenario.inflation = columns.includes(CSV_INFLATION_COLUMN)
+    ? numberColumn(CSV_INFLATION_COLUMN, rules.inflation)
+    : null;
+
+  const { start, ...periodDateColumns } = CSV_DATE_COLUMNS;
+  const hasDates = Object.values(periodDateColumns).every(name => columns.includes(name));
+  const inceptionDate = columns.includes(start) ? cell(records[0], start) : startDate;
+  if (hasDates && inceptionDate) {
+    scenario.dates = { start: inceptionDate };
+    Object.entries(periodDateColumns).forEach(([key, name]) => {
+      scenario.dates[key] = records.map(record => cell(record, name));
+    });
+    records.forEach((record, r) => {
+      Object.values(CSV_DATE_COLUMNS).forEach(name => {
+        const raw = columns.includes(name) ? cell(record, name) : "";
+        if (raw !== "" && isNaN(Date.parse(raw))) {
+          errors.push(`Row ${r + 2}, column "${name}": "${raw}" is not a date (use YYYY-MM-DD)`);
+        }
+      });
+      if (r > 0 && columns.includes(start) && cell(record, start) !== "" &&
+          cell(record, start) !== scenario.dates.periodEnds[r - 1]) {
+        errors.push(`Row ${r + 2}, column "${start}": must equal the previous row's ${CSV_DATE_COLUMNS.periodEnds}`);
+      }
+    });
+  }
+
+  if (errors.length > 0) return { scenario: null, errors };
+
+  // Cross-row checks (date ordering) that only make sense once every cell is valid
+  return { scenario, errors: validateScenario(scenario) };
+}
+
+// Throwing variant for callers without an error display, such as the CLI
+export function scenarioFromCsv(text, options) {
+  const { scenario, errors } = importScenarioCsv(text, options);
+  if (errors.length > 0) throw new Error(errors.join("\n"));
+  return scenario;
+}
+
+// Input rows in the same layout that importScenarioCsv reads, so exports round-trip
+export function scenarioToCsv(scenario) {
+  const { dates } = scenario;
+  const { benchmark, inflation } = scenario;
+  const header = INPUT_ROWS.map(row => CSV_COLUMNS[row]);
+  if (benchmark) header.push(CSV_BENCHMARK_COLUMN);
+  if (inflation) header.push(CSV_INFLATION_COLUMN);
+  if (dates) header.push(...Object.values(CSV_DATE_COLUMNS));
+  header.push(CSV_SETTING_COLUMNS.unitScale);
+  if (scenario.currencyCode) header.push(CSV_SETTING_COLUMNS.currencyCode);
+
+  const records = scenario.investment.map((_, i) => {
+    const record = INPUT_ROWS.map(row => scenario[row][i]);
+    if (benchmark) record.push(benchmark[i]);
+    if (inflation) record.push(inflation[i]);
+    if (dates) {
+      record.push(i === 0 ? dates.start : dates.periodEnds[i - 1], dates.periodEnds[i], dates.investment[i], dates.withdrawal[i]);
+    }
+    record.push(scenario.unitScale ?? DEFAULT_UNIT_SCALE);
+    if (scenario.currencyCode) record.push(scenario.currencyCode);
+    return record;
+  });
+  return toCsv([header, ...records]);
+}
+
+// Settings of the scenario that scenarioToCsv has no columns for, so an export would drop them;
+// empty when the CSV round-trips the whole scenario
+export function csvOmittedSettings(scenario) {
+  const timing = resolveTiming(scenario);
+  return [
+    scenario.fees && "fees",
+    scenario.taxes && "taxes",
+    Object.keys(DEFAULT_TIMING).some(key => timing[key] !== DEFAULT_TIMING[key]) && "flow timing",
+    scenario.currency && "currency settings",
+    scenario.portfolio && "holdings"
+  ].filter(Boolean);
+}
+
+// The "Detailed Cash Flow Analysis" table (amounts in input units, rates as decimals) followed by the metrics
+export function resultToCsv(scenario, result) {
+  const scale = scenario.unitScale ?? DEFAULT_UNIT_SCALE;
+  const years = result.endValues.map((_, i) => `Year ${i + 1}`);
+  const scaled = values => values.map(value => value / scale);
+  const perPeriod = (item, timing, values) => [item, timing, "", ...values];
+  const deductions = [result.fees && "fees", result.taxes && "taxes"].filter(Boolean);
+  const timing = resolveTiming(scenario);
+  // Dated investments and withdrawals happen on their dates rather than at their timing
+  const when = flow => (scenario.dates && flow !== "dividend" ? "Dated" : TIMING_POINTS[timing[flow]].name);
+  const hasMidPeriodFlows = result.midPeriodCashFlows.some(cf => cf !== 0);
+
+  const rows = [
+    ["Item", "Timing", "Year 0", ...years],
+    perPeriod("New Investment", when("investment"), scenario.investment),
+    perPeriod("Net balance", "Beginning", scaled(result.startValues)),
+    perPeriod("Annual Return (excluding dividends)", "Over", scenario.returns),
+    perPeriod("Investment gain (loss)", "Over", scaled(result.gains)),
+    perPeriod("Dividend received (and not reinvested)", when("dividend"), scenario.divNotReinvested),
+    perPeriod("Dividend received (and reinvested)", "End", scenario.divReinvested),
+    perPeriod("Dividend yield", "", result.totalDividends.map((div, i) => div / result.startValues[i])),
+    perPeriod(`Total Annual Return (including ${timing.dividendsInTwr ? "dividends" : "reinvested dividends"})`, "",
+      result.totalReturns),
+    perPeriod("Withdrawal by investor", when("withdrawal"), scenario.withdrawals),
+    ...(result.fees
+      ? [
+          perPeriod("Balance before fees", "End", scaled(result.fees.balanceBeforeFees)),
+          perPeriod("Management fee", "End", scaled(result.fees.management)),
+          perPeriod("Performance fee", "End", scaled(result.fees.performance)),
+          perPeriod("Transaction fees", "End", scaled(result.fees.transaction))
+        ]
+      : []),
+    ...(result.taxes
+      ? [
+          perPeriod("Dividend tax", "End", scaled(result.taxes.dividend)),
+          perPeriod("Capital gains tax", "End", scaled(result.taxes.capitalGains)),
+          perPeriod("Dividend paid out after tax", when("dividend"), scaled(result.taxes.dividendsPaid))
+        ]
+      : []),
+    ...(deductions.length > 0
+      ? [perPeriod(`Net Annual Return (after ${deductions.join(" and ")})`, "", result.subPeriodReturns)]
+      : []),
+    perPeriod("Balance", "End", scaled(result.endValues)),
+    ["Net cash flows", "Over", ...scaled(result.cashFlows)],
+    ...(hasMidPeriodFlows ? [perPeriod("Net cash flows", "Middle", scaled(result.midPeriodCashFlows))] : []),
+    ...(result.benchmark
+      ? [
+          perPeriod("Benchmark return", "Over", scenario.benchmark),
+          perPeriod("Benchmark wealth (same cash flows)", "End", scaled(result.benchmark.wealth))
+        ]
+      : []),
+    ...(result.inflation
+      ? [
+          perPeriod("Inflation", "Over", scenario.inflation),
+          ["Price index", "", ...result.inflation.priceIndex],
+          perPeriod("Balance in constant Year 0 dollars", "End",
+            scaled(result.endValues.map((value, i) => value / result.inflation.priceIndex[i + 1])))
+        ]
+      : []),
+    ...(result.currency
+      ? [
+          ["Exchange rate", "", ...result.currency.rates],
+          perPeriod("Currency return", "Over", result.currency.currencyReturns),
+          perPeriod(`Balance in ${result.currency.base}`, "End", scaled(result.currency.endValues)),
+          [`Net cash flows in ${result.currency.base}`, "Over", ...scaled(result.currency.cashFlows)],
+          ...(hasMidPeriodFlows
+            ? [perPeriod(`Net cash flows in ${result.currency.base}`, "Middle", scaled(result.currency.midPeriodCashFlows))]
+            : [])
+        ]
+      : []),
+    ...(result.portfolio
+      ? [
+          ...result.portfolio.holdings.flatMap(holding => [
+            perPeriod(`${holding.name} balance`, "End", scaled(holding.endValues)),
+            perPeriod(`${holding.name} weight`, "Over", holding.weights),
+            perPeriod(`${holding.name} return`, "Over", holding.returns),
+            perPeriod(`${holding.name} contribution`, "Over", holding.contributions),
+            perPeriod(`${holding.name} rebalancing trade`, "End", scaled(holding.trades))
+          ]),
+          perPeriod("Portfolio balance", "End", scaled(result.portfolio.endValues)),
+          perPeriod("Portfolio time-weighted return", "", result.portfolio.periodReturns),
+          ["Portfolio net cash flows", "Over", ...scaled(result.portfolio.cashFlows)],
+          ...(result.portfolio.midPeriodCashFlows.some(cf => cf !== 0)
+            ? [perPeriod("Portfolio net cash flows", "Middle", scaled(result.portfolio.midPeriodCashFlows))]
+            : [])
+        ]
+      : []),
+    [],
+    ["Metric", "Value"],
+    ...applicableMetrics(scenario).map(metric => [metric.name, result.metrics[metric.key]]),
+    ...(result.benchmark ? BENCHMARK_STATS.map(stat => [stat.name, result.benchmark[stat.key]]) : []),
+    ...(result.currency
+      ? ["twr", "mwr"].flatMap(key => [
+          [`${key.toUpperCase()} local return`, result.currency[key].local],
+          [`${key.toUpperCase()} currency return`, result.currency[key].currency],
+          [`${key.toUpperCase()} cross term`, result.currency[key].cross]
+        ])
+      : []),
+    ...(result.portfolio
+      ? [
+          ["Portfolio Money-Weighted Return (IRR)", result.portfolio.irr],
+          ...(scenario.dates ? [["Portfolio Money-Weighted Return (XIRR)", result.portfolio.xirr]] : []),
+          ["Portfolio Time-Weighted Return", result.portfolio.twr],
+          ...result.portfolio.holdings.map(holding => [`${holding.name} Time-Weighted Return`, holding.twr])
+        ]
+      : [])
+  ];
+  return toCsv(rows);
+}
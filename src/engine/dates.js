@@ -0,0 +1,12 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Actual/365 year fraction between two ISO dates (YYYY-MM-DD)
+export function yearFraction(fromDate, toDate) {
+  return (Date.parse(toDate) - Date.parse(fromDate)) / MS_PER_DAY / 365;
+}
+
+export function addYears(isoDate, years) {
+  const date = new Date(isoDate);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,242 @@
+// Step-by-step working for the headline metrics, for teaching. Each derivation is
+// { title, steps: [{ label, formula }], result }. Formulas mark superscripts as ^{...} and subscripts
+// as _{...}; the app renders those as math and toPlainText spells them out for copying.
+
+import { DEFAULT_UNIT_SCALE, resolveTiming } from "./index.js";
+import { calculateModifiedDietz } from "./returns.js";
+import { solveIRR, toPeriodicFlows } from "./irr.js";
+
+const MAX_SHOWN_ITERATIONS = 20;
+
+function percent(value) {
+  return isNaN(value) ? "n/a" : `${(value * 100).toFixed(2)}%`;
+}
+
+function decimal(value, digits = 4) {
+  return isNaN(value) ? "n/a" : value.toFixed(digits).replace("-", "−");
+}
+
+// Negative terms in a sum are bracketed so the signs stay readable
+function term(text) {
+  return text.startsWith("−") ? `(${text})` : text;
+}
+
+// Periodic flows have whole-period times; dated flows show their year fractions
+function irrDerivation(title, flows, scale, timeDigits) {
+  const money = value => term(decimal(value / scale, 2));
+  // Zero flows add nothing to the NPV, but the final value is always shown
+  const shown = flows.filter((f, k) => f.amount !== 0 || k === flows.length - 1);
+  const terms = shown.map(({ amount, time }) =>
+    time === 0 ? money(amount) : `${money(amount)} / (1 + r)^{${decimal(time, timeDigits)}}`
+  );
+  const symbols = shown.map(({ time }, k) => (time === 0 ? `CF_{${k}}` : `CF_{${k}} / (1 + r)^{t${k}}`));
+
+  const iterations = [];
+  const rate = solveIRR(flows, 0.1, step => iterations.push(step));
+  const converged = iterations.length > 0 && iterations[iterations.length - 1].next === rate;
+
+  const steps = [
+    { label: "Set the net present value of the investor cash flows to zero", formula: `NPV(r) = ${symbols.join(" + ")} = 0` },
+    { label: "With the actual cash flows (in input units)", formula: `${terms.join(" + ")} = 0` },
+    ...iterations.slice(0, MAX_SHOWN_ITERATIONS).map(({ iteration, rate: r, npv, slope, next }) => ({
+      label: `Newton-Raphson iteration ${iteration}`,
+      formula: `r_{${iteration}} = r − NPV / NPV′ = ${decimal(r, 6)} − (${decimal(npv / scale, 4)}) / (${decimal(slope / scale, 4)}) = ${decimal(next, 6)}`
+    }))
+  ];
+  if (iterations.length > MAX_SHOWN_ITERATIONS) {
+    steps.push({ label: `${iterations.length - MAX_SHOWN_ITERATIONS} more iterations omitted`, formula: "" });
+  }
+  if (!converged && !isNaN(rate)) {
+    steps.push({
+      label: "Newton-Raphson did not converge; the root nearest the 10% starting guess was found by bisection",
+      formula: `r = ${decimal(rate, 6)}`
+    });
+  }
+  return { title, steps, result: isNaN(rate) ? "No IRR found" : `r = ${percent(rate)}` };
+}
+
+function twrDerivation(scenario, result, scale) {
+  const { startValues, gains, subPeriodReturns, metrics } = result;
+  const n = startValues.length;
+  const money = value => term(decimal(value / scale, 2));
+  const netOf = [result.fees && "fees", result.taxes && "taxes"].filter(Boolean).join(" and ");
+  const timing = resolveTiming(scenario);
+  const dividends = timing.dividendsInTwr ? "dividends" : "reinvested dividends";
+  // A flow in the middle of the year (or on any date within it), or a dividend paid at its start,
+  // splits the year into links
+  const linkedWithin = Boolean(scenario.dates) || [timing.investment, timing.withdrawal].includes("middle") ||
+    (timing.dividendsInTwr && timing.dividend !== "end");
+  // Period income is whatever the sub-period return adds beyond the price gain
+  const income = startValues.map((start, i) => subPeriodReturns[i] * start - gains[i]);
+
+  const linkSteps = startValues.map((start, i) => ({
+    label: `Year ${i + 1}${!linkedWithin && start <= 0 ? " (no opening balance, so the link is 1)" : ""}`,
+    formula: linkedWithin || start <= 0
+      ? `1 + r_{${i + 1}} = ${decimal(1 + subPeriodReturns[i])}`
+      : `1 + r_{${i + 1}} = (${money(start)} + ${money(gains[i])} + ${money(income[i])}) / ${money(start)} = ${decimal(1 + subPeriodReturns[i])}`
+  }));
+  const links = subPeriodReturns.map(r => 1 + r);
+  const product = links.reduce((acc, link) => acc * link, 1);
+  // Actual years in dated mode, one per period otherwise
+  const years = result.subPeriods[n - 1].endTime;
+  const yearsText = scenario.dates ? decimal(years, 2) : `${n}`;
+
+  return {
+    title: "Time-Weighted Return",
+    steps: [
+      linkedWithin
+        ? {
+          label: `Split each year at its flows; every stretch earns the price return for its length, with ${dividends}` +
+            ` counted when received${netOf ? ` (net of ${netOf})` : ""}`,
+          formula: "1 + r_{i} = (1 + r_{i,1}) × (1 + r_{i,2}) × …"
+        }
+        : {
+          label: `Each year's return from start, gain and ${dividends}${netOf ? ` (dividends net of ${netOf})` : ""}`,
+          formula: "1 + r_{i} = (start_{i} + gain_{i} + dividends_{i}) / start_{i}"
+        },
+      ...linkSteps,
+      {
+        label: "Chain-link the years",
+        formula: `1 + TWR_{cumulative} = ${links.map(link => decimal(link)).join(" × ")} = ${decimal(product)}`
+      },
+      {
+        label: `Annualize over ${yearsText} years`,
+        formula: `TWR = ${decimal(product)}^{1/${yearsText}} − 1 = ${decimal(metrics.twr, 6)}`
+      }
+    ],
+    result: `TWR = ${percent(metrics.twr)}`
+  };
+}
+
+function dietzFormula(period, scale, label) {
+  const { beginValue, endValue, flows, startTime, endTime } = period;
+  const length = endTime - startTime;
+  const money = value => term(decimal(value / scale, 2));
+  const netFlow = flows.reduce((acc, f) => acc + f.amount, 0);
+  // Zero flows change nothing, so they are left out of the working
+  const weighted = flows
+    .filter(f => f.amount !== 0)
+    .map(f => `${decimal((endTime - f.time) / length, 4)} × ${money(f.amount)}`);
+  const r = calculateModifiedDietz(beginValue, endValue, flows, startTime, endTime);
+  return {
+    label,
+    formula: `R = (${money(endValue)} − ${money(beginValue)} − ${money(netFlow)}) / (${[money(beginValue), ...weighted].join(" + ")}) = ${decimal(r, 6)}`
+  };
+}
+
+function modifiedDietzDerivation(result, scale) {
+  const { subPeriods, metrics } = result;
+  const last = subPeriods[subPeriods.length - 1];
+  const whole = {
+    beginValue: 0,
+    endValue: last.endValue,
+    flows: subPeriods.flatMap(p => p.flows),
+    startTime: 0,
+    endTime: last.endTime
+  };
+  const hpr = calculateModifiedDietz(0, whole.endValue, whole.flows, 0, whole.endTime);
+  return {
+    title: "Modified Dietz",
+    steps: [
+      {
+        label: "Weight each external flow by the share of the period it was invested",
+        formula: "R = (EMV − BMV − ΣCF_{i}) / (BMV + Σ w_{i} CF_{i}),  w_{i} = (T − t_{i}) / T"
+      },
+      dietzFormula(whole, scale, "Over the whole horizon"),
+      {
+        label: `Annualize over ${decimal(whole.endTime, 2)} years`,
+        formula: `(1 + ${decimal(hpr, 6)})^{1/${decimal(whole.endTime, 2)}} − 1 = ${decimal(metrics.modifiedDietz, 6)}`
+      }
+    ],
+    result: `Modified Dietz = ${percent(metrics.modifiedDietz)}`
+  };
+}
+
+function linkedModifiedDietzDerivation(result, scale) {
+  const { subPeriods, metrics } = result;
+  const returns = subPeriods.map(p =>
+    calculateModifiedDietz(p.beginValue, p.endValue, p.flows, p.startTime, p.endTime)
+  );
+  const product = returns.reduce((acc, r) => acc * (1 + r), 1);
+  const years = subPeriods[subPeriods.length - 1].endTime;
+  return {
+    title: "Linked Modified Dietz",
+    steps: [
+      ...subPeriods.map((period, i) => dietzFormula(period, scale, `Year ${i + 1}`)),
+      {
+        label: "Chain-link the years",
+        formula: `${returns.map(r => `(1 + ${term(decimal(r))})`).join(" × ")} = ${decimal(product)}`
+      },
+      {
+        label: `Annualize over ${decimal(years, 2)} years`,
+        formula: `${decimal(product)}^{1/${decimal(years, 2)}} − 1 = ${decimal(metrics.linkedModifiedDietz, 6)}`
+      }
+    ],
+    result: `Linked Modified Dietz = ${percent(metrics.linkedModifiedDietz)}`
+  };
+}
+
+function geometricDerivation(scenario, result) {
+  const { returns } = scenario;
+  const n = returns.length;
+  const product = returns.reduce((acc, r) => acc * (1 + r), 1);
+  return {
+    title: "Geometric Mean (Price Only)",
+    steps: [
+      { label: "Compound the price returns and take the n-th root", formula: `G = [(1 + R_{1}) × … × (1 + R_{${n}})]^{1/${n}} − 1` },
+      {
+        label: "With the inputs",
+        formula: `G = [${returns.map(r => `(1 + ${term(decimal(r))})`).join(" × ")}]^{1/${n}} − 1 = ${decimal(product)}^{1/${n}} − 1`
+      }
+    ],
+    result: `G = ${percent(result.metrics.annualGeometric)}`
+  };
+}
+
+function arithmeticDerivation(scenario, result) {
+  const { returns } = scenario;
+  const n = returns.length;
+  const sum = returns.reduce((acc, r) => acc + r, 0);
+  return {
+    title: "Arithmetic Mean (Price Only)",
+    steps: [
+      { label: "Average the price returns", formula: `A = (R_{1} + … + R_{${n}}) / ${n}` },
+      {
+        label: "With the inputs",
+        formula: `A = (${returns.map(r => term(decimal(r))).join(" + ")}) / ${n} = ${decimal(sum)} / ${n}`
+      }
+    ],
+    result: `A = ${percent(result.metrics.annualArithmetic)}`
+  };
+}
+
+// Derivations keyed like result.metrics; xirr only in dated mode
+export function deriveMetrics(scenario, result) {
+  const scale = scenario.unitScale ?? DEFAULT_UNIT_SCALE;
+  const derivations = {
+    irr: irrDerivation(
+      "Money-Weighted Return (IRR)",
+      toPeriodicFlows(result.cashFlows, result.midPeriodCashFlows),
+      scale,
+      result.midPeriodCashFlows.some(cf => cf !== 0) ? 1 : 0
+    ),
+    twr: twrDerivation(scenario, result, scale),
+    modifiedDietz: modifiedDietzDerivation(result, scale),
+    linkedModifiedDietz: linkedModifiedDietzDerivation(result, scale),
+    annualGeometric: geometricDerivation(scenario, result),
+    annualArithmetic: arithmeticDerivation(scenario, result)
+  };
+  if (scenario.dates && result.irrAnalysis) {
+    derivations.xirr = irrDerivation("Money-Weighted Return (XIRR)", result.irrAnalysis.flows, scale, 4);
+  }
+  return derivations;
+}
+
+export function toPlainText({ title, steps, result }) {
+  const plain = text => text.replace(/\^\{([^}]*)\}/g, "^($1)").replace(/_\{([^}]*)\}/g, "$1");
+  return [
+    title,
+    ...steps.flatMap(({ label, formula }, i) => [`${i + 1}. ${label}`, ...(formula ? [`   ${plain(formula)}`] : [])]),
+    `Result: ${result}`
+  ].join("\n");
+}
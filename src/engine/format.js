@@ -0,0 +1,113 @@
+// Locale-aware number formatting. Amounts from the engine are in currency units and are shown in
+// the scenario's amount unit (input units); rates are decimals. Every formatter returns "—" for
+// NaN and infinite values.
+
+// Units the amounts can be entered in; scale is the value of one input unit
+export const AMOUNT_UNITS = [
+  { scale: 1, name: "Units", word: "", suffix: "" },
+  { scale: 1000, name: "Thousands", word: "thousand", suffix: "K" },
+  { scale: 1000000, name: "Millions", word: "million", suffix: "M" },
+  { scale: 1000000000, name: "Billions", word: "billion", suffix: "B" }
+];
+
+// ISO 4217 codes offered by the currency selector; any valid code formats
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD", "CNY", "HKD", "INR"];
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Decimal places for amounts (in input units) and for percentages
+export const DEFAULT_PRECISION = { amount: 1, percent: 2 };
+
+// A scale outside AMOUNT_UNITS (e.g. from the CLI's --scale) is shown as a multiplier
+export function amountUnit(scale) {
+  return AMOUNT_UNITS.find(unit => unit.scale === scale) ||
+    { scale, name: `× ${scale.toLocaleString("en-US")}`, word: `× ${scale.toLocaleString("en-US")}`, suffix: "" };
+}
+
+// Column and row label for amounts, e.g. "USD millions"
+export function unitLabel(scale, currency) {
+  const { word } = amountUnit(scale);
+  return word ? `${currency} ${word}s` : currency;
+}
+
+export function createFormatter({ locale, currency = DEFAULT_CURRENCY, unitScale, precision = DEFAULT_PRECISION }) {
+  const { suffix } = amountUnit(unitScale);
+  const cache = new Map();
+  const formatter = (style, digits, extra = {}) => {
+    const key = `${style}:${digits}:${JSON.stringify(extra)}`;
+    if (!cache.has(key)) {
+      const options = { minimumFractionDigits: digits, maximumFractionDigits: digits, ...extra };
+      // An unknown currency code falls back to a plain number followed by the code
+      let format;
+      try {
+        format = new Intl.NumberFormat(locale, style === "currency" ? { ...options, style, currency } : { ...options, style });
+      } catch {
+        const plain = new Intl.NumberFormat(locale, options);
+        format = { format: value => `${currency} ${plain.format(value)}` };
+      }
+      cache.set(key, format);
+    }
+    return cache.get(key);
+  };
+  const guard = fn => (value, ...args) => (typeof value === "number" && isFinite(value) ? fn(value, ...args) : "—");
+
+  return {
+    currency,
+    unitScale,
+    precision,
+    // Plain number with the given decimals
+    number: guard((value, digits = precision.amount) => formatter("decimal", digits).format(value)),
+    // Amount in currency units, shown in input units without a symbol (tables)
+    amount: guard((value, digits = precision.amount) => formatter("decimal", digits).format(value / unitScale)),
+    // Amount already in input units (the raw inputs)
+    input: guard((value, digits = precision.amount) => formatter("decimal", digits).format(value)),
+    // Amount in currency units with the currency symbol and unit suffix, e.g. "$1,282.7M"
+    money: guard((value, digits = precision.amount) => `${formatter("currency", digits).format(value / unitScale)}${suffix}`),
+    // Decimal rate as a percentage, e.g. 0.0398 -> "3.98%"
+    percent: guard((value, digits = precision.percent) => formatter("percent", digits).format(value)),
+    // Difference between two rates in percentage points, always signed
+    points: guard((value, digits = precision.percent) =>
+      `${formatter("decimal", digits, { signDisplay: "exceptZero" }).format(value * 100)} pp`),
+    // Signed amount difference in currency units, shown in input units
+    amountDelta: guard((value, digits = precision.amount) =>
+      `${formatter("decimal", digits, { signDisplay: "exceptZero" }).format(value / unitScale)}${suffix}`),
+    // Ratios such as Sharpe or information ratio
+    ratio: guard(value => formatter("decimal", 2).format(value))
+  };
+}
+
+// Group and decimal separators of a locale, e.g. { group: ".", decimal: "," } for de-DE
+export function numberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find(part => part.type === "group")?.value ?? "",
+    decimal: parts.find(part => part.type === "decimal")?.value ?? "."
+  };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A number as typed or pasted in the locale, so "1,282.7" (en-US) and "1.282,7" (de-DE) both read
+// 1282.7. Group separators must split the whole part into threes; with percent, a trailing % divides
+// by 100. Blank reads as 0 and anything else that is not a number as NaN.
+export function parseLocaleNumber(text, { locale, percent = false } = {}) {
+  const { group, decimal } = numberSeparators(locale);
+  let cleaned = text.trim();
+  if (cleaned === "") return 0;
+  const divisor = percent && cleaned.endsWith("%") ? 100 : 1;
+  if (divisor !== 1) cleaned = cleaned.slice(0, -1).trim();
+
+  // A space group separator (fr-FR's narrow no-break space) may be typed as any space
+  const groupPattern = /^\s$/.test(group) ? "\\s" : escapeRegExp(group);
+  const match = new RegExp(
+    `^([+-]?)(\\d{1,3}(?:${groupPattern}\\d{3})+|\\d*)(?:${escapeRegExp(decimal)}(\\d*))?(?:[eE]([+-]?\\d+))?$`
+  ).exec(cleaned);
+  if (!match || !/\d/.test(match[2] + (match[3] ?? ""))) return NaN;
+  const [, sign, whole, fraction = "", exponent = "0"] = match;
+  return Number(`${sign}${whole.replace(/\D/g, "") || "0"}.${fraction || "0"}e${exponent}`) / divisor;
+}
+
+// A value as the input grid shows it for editing: every digit, no grouping, the locale's decimal mark
+export function editableNumber(value, locale) {
+  return String(value).replace(".", numberSeparators(locale).decimal);
+}
@@ -0,0 +1,151 @@
+// Attribution of the gap between the money-weighted return (IRR) and the time-weighted return to the
+// investor's contributions and withdrawals, plus a plain-language summary of it.
+//
+// The flows are added back one at a time in time order, starting from the first investment alone,
+// and each flow's timing effect is the change in the IRR it causes. The effects add up exactly:
+//   IRR − TWR = residual + Σ effects
+// where the residual is the IRR of the first investment alone less the TWR (paid-out dividends,
+// fees and taxes, and a first investment made after the start of Year 1 keep the two apart even
+// without further flows). The partial histories keep each year's dividend yield rather than its
+// dividend amounts, so a dividend on money that has been left out does not show up as return.
+
+import { TIMING_POINTS, resolveTiming, runScenario } from "./index.js";
+import { annualize } from "./returns.js";
+
+// Effects smaller than this (as a decimal) are left out of the explanation
+export const NEGLIGIBLE_EFFECT = 0.0005;
+
+// Contributions and withdrawals in time order, as { period, input, point, time, amount } with the
+// amount signed like the withdrawal input (positive adds money). Flows at the same time keep the
+// input order, investment first.
+function externalFlows(scenario) {
+  const timing = resolveTiming(scenario);
+  const flows = [];
+  scenario.investment.forEach((investment, i) => {
+    [["investment", "investment", investment], ["withdrawals", "withdrawal", scenario.withdrawals[i]]]
+      .filter(([, , amount]) => amount !== 0)
+      .forEach(([input, flow, amount]) => flows.push({
+        period: i,
+        input,
+        point: timing[flow],
+        time: i + TIMING_POINTS[timing[flow]].fraction,
+        amount
+      }));
+  });
+  return flows.sort((a, b) => a.time - b.time);
+}
+
+// Annualized TWR of the whole periods after a flow; NaN when none follow it
+function followingReturn(subPeriodReturns, time) {
+  const following = subPeriodReturns.slice(Math.ceil(time));
+  if (following.length === 0) return NaN;
+  return annualize(following.reduce((growth, r) => growth * (1 + r), 1) - 1, following.length);
+}
+
+// Returns null when the IRR or TWR cannot be calculated for the scenario or for one of the
+// partial flow histories, otherwise
+//   { irr, twr, gap, firstOnly, residual,
+//     flows: [{ period, input, point, time, amount, effect, following }],  // after the first flow
+//     periodEffects: number[] }                                            // effects summed by period
+export function decomposeGap(scenario, result) {
+  // The IRR is per period even in dated mode, so the TWR it is compared with is too
+  const { irr } = result.metrics;
+  const twr = followingReturn(result.subPeriodReturns, 0);
+  const flows = externalFlows(scenario);
+  if (isNaN(irr) || isNaN(twr) || flows.length === 0) return null;
+
+  // IRR of the history up to and including the k-th flow, with every later flow left out. Each year's
+  // dividends are scaled by that history's start balance over the full one, year by year, since a
+  // year's start balance depends on the dividends before it.
+  const irrWith = k => {
+    const kept = { investment: scenario.investment.map(() => 0), withdrawals: scenario.withdrawals.map(() => 0) };
+    flows.slice(0, k).forEach(flow => { kept[flow.input][flow.period] = flow.amount; });
+    const partial = {
+      ...scenario,
+      ...kept,
+      divReinvested: [...scenario.divReinvested],
+      divNotReinvested: [...scenario.divNotReinvested],
+      portfolio: null
+    };
+    result.startValues.forEach((fullStart, i) => {
+      if (!(fullStart > 0)) return;
+      const scale = runScenario(partial, { irrAnalysis: false }).startValues[i] / fullStart;
+      partial.divReinvested[i] = scenario.divReinvested[i] * scale;
+      partial.divNotReinvested[i] = scenario.divNotReinvested[i] * scale;
+    });
+    return runScenario(partial, { irrAnalysis: false }).metrics.irr;
+  };
+
+  const firstOnly = irrWith(1);
+  let previous = firstOnly;
+  const steps = flows.slice(1).map((flow, k) => {
+    const rate = k + 2 === flows.length ? irr : irrWith(k + 2);
+    const effect = rate - previous;
+    previous = rate;
+    return { ...flow, effect, following: followingReturn(result.subPeriodReturns, flow.time) };
+  });
+  if (isNaN(firstOnly) || steps.some(step => isNaN(step.effect))) return null;
+
+  const periodEffects = result.startValues.map(() => 0);
+  steps.forEach(step => { periodEffects[step.period] += step.effect; });
+
+  return { irr, twr, gap: irr - twr, firstOnly, residual: firstOnly - twr, flows: steps, periodEffects };
+}
+
+// "the 950 contribution at the beginning of Year 2"
+export function describeFlow({ amount, point, period }, format) {
+  const kind = amount > 0 ? "contribution" : "withdrawal";
+  return `the ${format.input(Math.abs(amount))} ${kind} at the ${TIMING_POINTS[point].name.toLowerCase()} of Year ${period + 1}`;
+}
+
+// Short explanation of the gap, one sentence per string
+export function explainGap(decomposition, format) {
+  const { irr, twr, gap, firstOnly, residual, flows } = decomposition;
+  // Size of a difference in percentage points, unsigned
+  const size = value => `${format.number(Math.abs(value) * 100, format.precision.percent)} pp`;
+  const sentences = [];
+
+  if (Math.abs(gap) < NEGLIGIBLE_EFFECT) {
+    sentences.push(
+      `The money-weighted return (${format.percent(irr)}) and the time-weighted return (${format.percent(twr)}) ` +
+      "are almost equal, so the timing of the investor's flows made little difference."
+    );
+  } else {
+    sentences.push(
+      `The money-weighted return (${format.percent(irr)}) is ${size(gap)} ` +
+      `${gap > 0 ? "above" : "below"} the time-weighted return (${format.percent(twr)}), so the timing of the ` +
+      `investor's flows ${gap > 0 ? "helped" : "hurt"} the investor relative to the manager.`
+    );
+  }
+
+  // The flow that helped most and the one that hurt most
+  const byEffect = [...flows].sort((a, b) => b.effect - a.effect);
+  const helped = byEffect.find(flow => flow.effect >= NEGLIGIBLE_EFFECT);
+  const hurt = byEffect.reverse().find(flow => flow.effect <= -NEGLIGIBLE_EFFECT);
+  [helped, hurt].filter(Boolean).forEach(flow => {
+    const name = describeFlow(flow, format);
+    const moved = `${flow.effect > 0 ? "added" : "cost"} ${size(flow.effect)}`;
+    if (isNaN(flow.following)) {
+      sentences.push(`${name[0].toUpperCase()}${name.slice(1)} ${moved}.`);
+      return;
+    }
+    const direction = flow.amount > 0 ? "went in ahead of" : "came out ahead of";
+    sentences.push(
+      `${name[0].toUpperCase()}${name.slice(1)} ${moved}: it ${direction} returns averaging ` +
+      `${format.percent(flow.following)} a year, ${flow.following >= twr ? "above" : "below"} the TWR.`
+    );
+  });
+
+  if (Math.abs(residual) >= NEGLIGIBLE_EFFECT) {
+    sentences.push(
+      `Even the first investment alone would have a money-weighted return of ${format.percent(firstOnly)}; the ` +
+      `other ${format.points(residual)} of the gap comes from paid-out dividends, fees, taxes or a first ` +
+      "investment made after the start of Year 1, not from the investor's later flows."
+    );
+  }
+  sentences.push(
+    "Contributions ahead of strong years and withdrawals ahead of weak ones raise the money-weighted return; " +
+    "the reverse lowers it."
+  );
+  return sentences;
+}
@@ -0,0 +1,111 @@
+// Goal seek: the value of one input cell that makes a metric hit a target, searched within the
+// input's allowed range (inputRules), so every candidate is a valid scenario.
+//
+// The metric need not be monotonic in the input (an IRR can rise and then fall as a contribution
+// grows), so the range is first scanned for sign changes of metric − target; the bracket nearest
+// the current value is then narrowed by bisection. A jump in the metric (e.g. the IRR switching to
+// another root) looks like a sign change too, so a root is only accepted when the metric actually
+// hits the target there.
+
+import { DEFAULT_UNIT_SCALE, inputRules, runScenario } from "./index.js";
+
+// isRate targets are decimals; the final balance is in input units, like the amounts
+export const GOAL_TARGETS = {
+  irr: { name: "Money-Weighted Return (IRR)", isRate: true, read: result => result.metrics.irr },
+  twr: { name: "Time-Weighted Return", isRate: true, read: result => result.metrics.twr },
+  annualGeometric: { name: "Geometric Mean (Price Only)", isRate: true, read: result => result.metrics.annualGeometric },
+  finalBalance: {
+    name: "Final balance",
+    isRate: false,
+    read: (result, unitScale) => result.endValues[result.endValues.length - 1] / unitScale
+  }
+};
+
+const MAX_BISECTIONS = 200;
+// Uniform scan points across the whole range, on top of the ones clustered around the current value
+const UNIFORM_POINTS = 100;
+
+// Scan points: the bounds, a uniform grid, and offsets of 1, 2 and 5 × 10^k on both sides of the
+// current value, so small changes near it are found as reliably as large ones
+function scanPoints(current, min, max) {
+  const points = new Set([min, max, current]);
+  for (let k = 0; k <= UNIFORM_POINTS; k++) points.add(min + ((max - min) * k) / UNIFORM_POINTS);
+  const top = Math.ceil(Math.log10(max - min));
+  for (let k = top - 8; k <= top; k++) {
+    [1, 2, 5].forEach(mantissa => {
+      const offset = mantissa * 10 ** k;
+      [current - offset, current + offset].forEach(point => {
+        if (point >= min && point <= max) points.add(point);
+      });
+    });
+  }
+  return [...points].sort((a, b) => a - b);
+}
+
+// Solves for scenario[row][period] so that target's metric equals goal. Returns
+//   { solved: true, value, achieved }
+// or, when no value inside [min, max] hits the goal,
+//   { solved: false, min, max, lowest, highest, closest }
+// where lowest and highest are the extremes of the metric seen across the range and closest is
+// the { value, achieved } pair nearest the goal (all null when the metric is never defined).
+export function goalSeek(scenario, { row, period, target, goal }) {
+  const unitScale = scenario.unitScale ?? DEFAULT_UNIT_SCALE;
+  const { min, max } = inputRules(unitScale)[row];
+  const { read } = GOAL_TARGETS[target];
+  const metricAt = value => {
+    const values = scenario[row].map((v, i) => (i === period ? value : v));
+    return read(runScenario({ ...scenario, [row]: values }, { irrAnalysis: false }), unitScale);
+  };
+  // Close enough to count as hitting the goal: a hundredth of a basis point, or a millionth of the
+  // balance
+  const tolerance = GOAL_TARGETS[target].isRate ? 1e-6 : Math.max(1e-6, Math.abs(goal) * 1e-6);
+
+  const current = Math.min(max, Math.max(min, scenario[row][period]));
+  const samples = scanPoints(current, min, max)
+    .map(value => ({ value, achieved: metricAt(value) }))
+    .filter(sample => isFinite(sample.achieved));
+
+  const exact = samples.filter(sample => Math.abs(sample.achieved - goal) <= tolerance);
+  const brackets = samples.slice(1)
+    .map((sample, k) => [samples[k], sample])
+    .filter(([a, b]) => Math.sign(a.achieved - goal) * Math.sign(b.achieved - goal) < 0);
+  const distance = ([a, b]) => (current < a.value ? a.value - current : current > b.value ? current - b.value : 0);
+  brackets.sort((p, q) => distance(p) - distance(q));
+
+  for (const [a, b] of brackets) {
+    let low = a;
+    let high = b;
+    for (let k = 0; k < MAX_BISECTIONS && high.value - low.value > 1e-12 * Math.max(1, Math.abs(low.value)); k++) {
+      const value = (low.value + high.value) / 2;
+      const achieved = metricAt(value);
+      if (!isFinite(achieved)) break;
+      const mid = { value, achieved };
+      if (Math.sign(achieved - goal) === Math.sign(low.achieved - goal)) low = mid;
+      else high = mid;
+    }
+    const best = Math.abs(low.achieved - goal) <= Math.abs(high.achieved - goal) ? low : high;
+    if (Math.abs(best.achieved - goal) <= tolerance) {
+      exact.push(best);
+      break;
+    }
+  }
+
+  if (exact.length > 0) {
+    exact.sort((p, q) => Math.abs(p.value - current) - Math.abs(q.value - current));
+    return { solved: true, ...exact[0] };
+  }
+
+  const achievedValues = samples.map(sample => sample.achieved);
+  const closest = samples.reduce(
+    (best, sample) => (!best || Math.abs(sample.achieved - goal) < Math.abs(best.achieved - goal) ? sample : best),
+    null
+  );
+  return {
+    solved: false,
+    min,
+    max,
+    lowest: samples.length > 0 ? Math.min(...achievedValues) : null,
+    highest: samples.length > 0 ? Math.max(...achievedValues) : null,
+    closest
+  };
+}
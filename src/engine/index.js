@@ -0,0 +1,854 @@
+// Headless returns engine shared by the React app (src/App.jsx), lm1los3.js and the CLI (bin/returns.js).
+//
+// Input schema (one entry per period in every array):
+//   {
+//     investment:       number[]  new investment in each period (at the beginning by default)
+//     returns:          number[]  price return for each period as a decimal (0.10 = 10%)
+//     divReinvested:    number[]  dividends reinvested at period end
+//     divNotReinvested: number[]  dividends paid out to the investor (at period end by default)
+//     withdrawals:      number[]  signed amount added to the balance (at period end by default);
+//                                 the SME example enters a 350 withdrawal as -350, and the investor
+//                                 receives the opposite of this amount
+//     unitScale:        number    optional multiplier applied to every amount (default 1,000,000:
+//                                 amounts are entered in millions); range checks scale with it
+//     currencyCode:     optional ISO code of the currency the amounts are in, for display
+//     benchmark:        optional number[]; benchmark total return for each period as a decimal
+//     inflation:        optional number[]; inflation (CPI change) over each period as a decimal
+//     currency:         optional; amounts are in the local currency and are converted to the base currency
+//       {
+//         local:     string    ISO code of the currency the amounts are entered in, e.g. "EUR"
+//         base:      string    ISO code of the reporting currency, e.g. "USD"
+//         startRate: number    base units per local unit at inception
+//         rates:     number[]  base units per local unit at each period end
+//       }
+//     fees:             optional; all fees are taken from the portfolio at period end
+//       {
+//         managementRate:  number   annual management fee as a decimal (0.01 = 1%)
+//         managementBasis: "start" | "average"  charged on the opening or the average of
+//                                   opening and closing (pre-fee) balance
+//         performanceRate: number   share of the return above the hurdle (0.2 = 20%)
+//         hurdleRate:      number   period return the manager must beat before a performance fee
+//         highWaterMark:   boolean  only charge on gains above the previous peak unit value
+//         transactionFee:  number   fixed fee per non-zero investment or withdrawal, in input units
+//       }
+//     taxes:            optional; taxes on reinvested dividends and gains are paid from the portfolio,
+//                       paid-out dividends reach the investor net of tax
+//       {
+//         dividendRate:     number   tax rate on all dividends as a decimal
+//         capitalGainsRate: number   tax rate on gains; losses carry forward against later gains
+//         gainsBasis:       "realized" | "markToMarket"  tax gains when a withdrawal sells part of the
+//                                    portfolio (and on liquidation at the end of the last period), or
+//                                    on each period's gain after fees
+//       }
+//     timing:           optional; when each external flow happens within its period (DEFAULT_TIMING
+//                       fills in missing keys). A flow earns the period's price return from its
+//                       point in the period to the end, compounded: (1 + return)^(1 - fraction).
+//       {
+//         investment:     "beginning" | "middle" | "end"
+//         withdrawal:     "beginning" | "middle" | "end"
+//         dividend:       "beginning" | "middle" | "end"   when dividends not reinvested are paid out
+//         dividendsInTwr: boolean  count paid-out dividends as income in the time-weighted return;
+//                                  when false only reinvested dividends are
+//       }
+//       Reinvested dividends, fees and taxes are always at period end. In dated mode the investment
+//       and withdrawal dates place those flows in the roll-forward, the TWR links, XIRR and Modified
+//       Dietz, and dividends are paid at the period end for XIRR and Modified Dietz; the timing then
+//       only sets the periodic IRR's cash-flow grid and when paid-out dividends count toward the TWR.
+//     portfolio:        optional; several holdings analysed alongside the single account, each rolled
+//                       forward like it with the same timing but without fees, taxes or currency
+//       {
+//         holdings: [{ name, investment, returns, divReinvested, divNotReinvested, withdrawals }]
+//                   each a holding's own inputs, one value per period like the account's
+//         rebalancing: optional, no rebalancing by default {
+//           rule:    "none" | "annual" | "threshold"  trade back to the targets at every period end,
+//                    or only when a holding's weight is more than band away from its target
+//           targets: number[]  target weight of each holding as a decimal; they add up to 1
+//           band:    number    allowed drift for the threshold rule (0.05 = 5 percentage points)
+//         }
+//       }
+//     dates:            optional; when present the engine runs in dated mode
+//       {
+//         start:      "YYYY-MM-DD"  portfolio inception
+//         periodEnds: string[]      valuation date closing each period; dividends are paid here
+//         investment: string[]      date of each period's new investment
+//         withdrawal: string[]      date of each period's withdrawal
+//       }
+//   }
+//
+// Output schema (amounts multiplied by unitScale):
+//   {
+//     periodCount:    number
+//     startValues:    number[]  balance after the flows at the beginning of each period
+//     gains:          number[]  price gain (loss) over each period, including on flows made during it
+//     endValues:      number[]  balance at the end of each period, net of fees and taxes
+//     totalDividends: number[]  reinvested plus non-reinvested dividends
+//     cashFlows:      number[]  investor cash flows at t = 0..n (flows at a period's beginning or end);
+//                               investments are negative, withdrawals and paid-out dividends positive
+//     midPeriodCashFlows: number[]  investor cash flows at t = i + 0.5 (flows timed at the middle)
+//     totalReturns:   number[]  time-weighted return of each period before fees and taxes
+//     subPeriodReturns: number[]  time-weighted return of each period (net of fees and taxes), the links
+//                     of the TWR chain; a period is split at its flows and linked within
+//     subPeriods:     { beginValue, endValue, flows, startTime, endTime }[]  Modified Dietz inputs per period;
+//                     flows are external flows into the portfolio, times in years
+//     metrics: {
+//       irr, twr, xirr (NaN unless dated), modifiedDietz, linkedModifiedDietz,
+//       annualGeometric, annualArithmetic, benchmarkAnnualized (NaN without a benchmark),
+//       grossIrr, grossTwr (before fees and taxes, NaN without fees),
+//       preTaxIrr, preTaxTwr (after fees, NaN without taxes),
+//       realIrr, realTwr, realGeometric (NaN without inflation),
+//       baseIrr, baseTwr (in the base currency, NaN without a currency)
+//                                                 -- all annualized decimals, NaN when undefined
+//                     the TWRs, Modified Dietz and XIRR are annualized over the actual years in dated
+//                     mode; the IRRs and means are per period
+//     }
+//     fees: null without fees, otherwise { management, performance, transaction, total, balanceBeforeFees }
+//           (number[] each)
+//     taxes: null without taxes, otherwise { dividend, capitalGains, total, dividendsPaid } (number[] each;
+//            dividendsPaid is the paid-out dividend after tax)
+//     gross: null without fees, otherwise the fee- and tax-free
+//            { startValues, gains, endValues, cashFlows, midPeriodCashFlows }
+//     benchmark: null without a benchmark, otherwise {
+//       cumulative, annualized, arithmeticExcess, geometricExcess, trackingError, informationRatio,
+//       activeReturns: number[]  portfolio sub-period return minus benchmark return
+//       wealth:        number[]  period-end value of the same external flows invested in the benchmark
+//     }
+//     inflation: null without inflation, otherwise {
+//       cumulative, annualized,
+//       priceIndex: number[]  price level at t = 0..n (1 at t = 0); divide an amount at t by
+//                             priceIndex[t] for constant t = 0 dollars
+//     }
+//     currency: null without a currency, otherwise {
+//       local, base,
+//       rates:           number[]  exchange rate at t = 0..n
+//       startValues, endValues, cashFlows, midPeriodCashFlows: the same series converted at the rate on
+//                        their date (the geometric midpoint of the period's rates for mid-period flows)
+//       currencyReturns: number[]  change in the exchange rate over each period
+//       twr, mwr: { local, currency, cross, base }  -- base = (1 + local)(1 + currency) - 1,
+//                 so cross = local * currency; the mwr currency part is (1 + base) / (1 + local) - 1
+//     }
+//     portfolio: null without a portfolio, otherwise {
+//       holdings: [{ name, startValues, endValues, trades, weights, returns, contributions, periodReturns, twr }]
+//                 trades are the rebalancing trades at each period end (in minus out is zero);
+//                 weights are shares of the capital at work, returns Modified Dietz returns on the
+//                 holding's own capital and contributions weight × return
+//       startValues, endValues, cashFlows, midPeriodCashFlows: the aggregated balances and investor flows
+//       periodReturns:      number[]  time-weighted return of the whole portfolio in each period
+//       contributionTotals: number[]  sum of the contributions, the portfolio's Modified Dietz return
+//       twr, irr, xirr:     annualized portfolio returns on the same basis as the account's
+//                           (xirr NaN unless dated)
+//     }
+//     irrAnalysis: { flows, roots, signChanges }  -- money-weighted flows and every IRR root found
+//                                                   (null when run with { irrAnalysis: false })
+//   }
+
+import { yearFraction } from "./dates.js";
+import { amountUnit } from "./format.js";
+import {
+  calculateIRR,
+  calculateXIRR,
+  countSignChanges,
+  findAllIRRs,
+  toPeriodicFlows
+} from "./irr.js";
+import {
+  calculateModifiedDietz,
+  calculateLinkedModifiedDietz,
+  annualize,
+  geometricMean,
+  arithmeticMean,
+  linkPeriod
+} from "./returns.js";
+import { REBALANCING_RULES, portfolioStats, resolveRebalancing } from "./portfolio.js";
+
+export * from "./dates.js";
+export * from "./format.js";
+export * from "./irr.js";
+export * from "./returns.js";
+export * from "./risk.js";
+
+export const DEFAULT_UNIT_SCALE = 1000000;
+
+export const INPUT_ROWS = ["investment", "returns", "divReinvested", "divNotReinvested", "withdrawals"];
+
+// Display names of the input rows, for tools that pick a cell (goal seek, sensitivity)
+export const INPUT_LABELS = {
+  investment: "Investment",
+  returns: "Return",
+  divReinvested: "Dividend Reinvested",
+  divNotReinvested: "Dividend Not Reinvested",
+  withdrawals: "Withdrawal"
+};
+
+// Allowed range of each amount in currency units; inputRules and feeRules convert it to input units
+const AMOUNT_LIMITS = {
+  investment: { min: 0, max: 1e10, label: "Investment amounts" },
+  divReinvested: { min: 0, max: 1e9, label: "Reinvested dividends" },
+  divNotReinvested: { min: 0, max: 1e9, label: "Non-reinvested dividends" },
+  withdrawals: { min: -1e10, max: 1e10, label: "Withdrawals" },
+  transactionFee: { min: 0, max: 1e8, label: "Transaction fee" }
+};
+
+// e.g. "Withdrawals must be between -10,000 and 10,000 million" for amounts in millions
+function amountRule(key, unitScale) {
+  const { min, max, label } = AMOUNT_LIMITS[key];
+  const { word } = amountUnit(unitScale);
+  const show = value => (value / unitScale).toLocaleString("en-US", { maximumFractionDigits: 6 });
+  return {
+    min: min / unitScale,
+    max: max / unitScale,
+    message: `${label} must be between ${show(min)} and ${show(max)}${word ? ` ${word}` : ""}`
+  };
+}
+
+// Allowed range for every value in each input row, in input units for the given unit scale
+export function inputRules(unitScale = DEFAULT_UNIT_SCALE) {
+  return {
+    investment: amountRule("investment", unitScale),
+    returns: { min: -1, max: 5, message: "Returns must be between -100% and 500%" },
+    divReinvested: amountRule("divReinvested", unitScale),
+    divNotReinvested: amountRule("divNotReinvested", unitScale),
+    withdrawals: amountRule("withdrawals", unitScale),
+    benchmark: { min: -1, max: 5, message: "Benchmark returns must be between -100% and 500%" },
+    inflation: { min: -0.5, max: 1, message: "Inflation must be between -50% and 100%" },
+    fxRate: { min: 0.000001, max: 1000000, message: "Exchange rates must be between 0.000001 and 1,000,000" }
+  };
+}
+
+// Input rules for amounts in millions (DEFAULT_UNIT_SCALE)
+export const INPUT_RULES = inputRules();
+
+// Allowed range for each fee setting; the transaction fee is in input units
+export function feeRules(unitScale = DEFAULT_UNIT_SCALE) {
+  return {
+    managementRate: { min: 0, max: 0.1, message: "Management fee must be between 0% and 10%" },
+    performanceRate: { min: 0, max: 0.5, message: "Performance fee must be between 0% and 50%" },
+    hurdleRate: { min: -1, max: 1, message: "Hurdle rate must be between -100% and 100%" },
+    transactionFee: amountRule("transactionFee", unitScale)
+  };
+}
+
+export const FEE_RULES = feeRules();
+
+// Allowed range for each tax setting
+export const TAX_RULES = {
+  dividendRate: { min: 0, max: 1, message: "Dividend tax rate must be between 0% and 100%" },
+  capitalGainsRate: { min: 0, max: 1, message: "Capital gains tax rate must be between 0% and 100%" }
+};
+
+export const DEFAULT_TAXES = {
+  dividendRate: 0.15,
+  capitalGainsRate: 0.2,
+  gainsBasis: "realized"
+};
+
+// Points in a period where an external flow can happen, as a fraction of the period
+export const TIMING_POINTS = {
+  beginning: { name: "Beginning", fraction: 0 },
+  middle: { name: "Middle", fraction: 0.5 },
+  end: { name: "End", fraction: 1 }
+};
+
+// Flow types with a configurable timing; the keys of scenario.timing besides dividendsInTwr
+export const TIMED_FLOWS = ["investment", "withdrawal", "dividend"];
+
+export const DEFAULT_TIMING = {
+  investment: "beginning",
+  withdrawal: "end",
+  dividend: "end",
+  dividendsInTwr: true
+};
+
+// The scenario's timing with defaults filled in
+export function resolveTiming(scenario) {
+  return { ...DEFAULT_TIMING, ...scenario.timing };
+}
+
+export const DEFAULT_FEES = {
+  managementRate: 0.01,
+  managementBasis: "average",
+  performanceRate: 0.2,
+  hurdleRate: 0.05,
+  highWaterMark: true,
+  transactionFee: 0
+};
+
+// Display order and labels for the metrics object, shared by the app's charts and the CLI table
+export const METRICS = [
+  { key: "irr", name: "Money-Weighted Return (IRR)", shortName: "MWR" },
+  { key: "twr", name: "Time-Weighted Return", shortName: "TWR" },
+  { key: "xirr", name: "Money-Weighted Return (XIRR, actual/365)", shortName: "XIRR", datedOnly: true },
+  { key: "modifiedDietz", name: "Modified Dietz (Annualized)", shortName: "Mod. Dietz" },
+  { key: "linkedModifiedDietz", name: "Linked Modified Dietz (Annualized)", shortName: "Linked MD" },
+  { key: "annualGeometric", name: "Geometric Mean (Price Only)", shortName: "Geom. Mean" },
+  { key: "annualArithmetic", name: "Arithmetic Mean (Price Only)", shortName: "Arith. Mean" },
+  { key: "benchmarkAnnualized", name: "Benchmark Return (Annualized)", shortName: "Benchmark", benchmarkOnly: true },
+  { key: "grossIrr", name: "Money-Weighted Return, Gross of Fees", shortName: "Gross MWR", feesOnly: true },
+  { key: "grossTwr", name: "Time-Weighted Return, Gross of Fees", shortName: "Gross TWR", feesOnly: true },
+  { key: "preTaxIrr", name: "Money-Weighted Return, Pre-Tax", shortName: "Pre-tax MWR", taxesOnly: true },
+  { key: "preTaxTwr", name: "Time-Weighted Return, Pre-Tax", shortName: "Pre-tax TWR", taxesOnly: true },
+  { key: "realIrr", name: "Real Money-Weighted Return (IRR)", shortName: "Real IRR", inflationOnly: true },
+  { key: "realTwr", name: "Real Time-Weighted Return", shortName: "Real TWR", inflationOnly: true },
+  { key: "realGeometric", name: "Real Geometric Mean (Price Only)", shortName: "Real Geo", inflationOnly: true },
+  { key: "baseIrr", name: "Money-Weighted Return (IRR), Base Currency", shortName: "Base IRR", currencyOnly: true },
+  { key: "baseTwr", name: "Time-Weighted Return, Base Currency", shortName: "Base TWR", currencyOnly: true }
+];
+
+// The METRICS that apply to at least one of the given scenarios
+export function applicableMetrics(...scenarios) {
+  return METRICS.filter(metric =>
+    scenarios.some(s =>
+      (!metric.datedOnly || s.dates) && (!metric.benchmarkOnly || s.benchmark) &&
+      (!metric.feesOnly || s.fees) && (!metric.taxesOnly || s.taxes) && (!metric.inflationOnly || s.inflation) &&
+      (!metric.currencyOnly || s.currency)
+    )
+  );
+}
+
+// Benchmark statistics shown after the metrics (whose benchmarkAnnualized is the annualized return);
+// all are decimals except the information ratio
+export const BENCHMARK_STATS = [
+  { key: "cumulative", name: "Benchmark Cumulative Return" },
+  { key: "arithmeticExcess", name: "Arithmetic Excess Return (TWR − Benchmark)" },
+  { key: "geometricExcess", name: "Geometric Excess Return ((1 + TWR) / (1 + Benchmark) − 1)" },
+  { key: "trackingError", name: "Tracking Error" },
+  { key: "informationRatio", name: "Information Ratio", isRatio: true }
+];
+
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== "object" || Array.isArray(scenario)) {
+    return ["A scenario must be an object"];
+  }
+  const { investment, dates, unitScale = DEFAULT_UNIT_SCALE, currencyCode } = scenario;
+  const errors = [];
+
+  if (typeof unitScale !== "number" || !(unitScale > 0) || !isFinite(unitScale)) {
+    errors.push("The amount unit must be a positive number");
+    return errors;
+  }
+  if (currencyCode !== undefined && (typeof currencyCode !== "string" || !/^[A-Z]{3}$/.test(currencyCode))) {
+    errors.push("Currency codes must be three capital letters (e.g., EUR)");
+  }
+
+  if (!investment || investment.length === 0) {
+    errors.push("At least one period is required");
+    return errors;
+  }
+  if (INPUT_ROWS.some(row => !Array.isArray(scenario[row]) || scenario[row].length !== investment.length)) {
+    errors.push("Every input row must have one value per period");
+    return errors;
+  }
+  if (INPUT_ROWS.some(row => scenario[row].some(value => typeof value !== "number" || isNaN(value)))) {
+    errors.push("Every input must be a number");
+    return errors;
+  }
+
+  const rules = inputRules(unitScale);
+  INPUT_ROWS.forEach(row => {
+    const { min, max, message } = rules[row];
+    if (scenario[row].some(value => value < min || value > max)) {
+      errors.push(message);
+    }
+  });
+
+  [["benchmark", "Benchmark returns"], ["inflation", "Inflation rates"]].forEach(([row, label]) => {
+    const series = scenario[row];
+    if (!series) return;
+    const { min, max, message } = rules[row];
+    if (!Array.isArray(series) || series.length !== investment.length) {
+      errors.push(`${label} must have one value per period`);
+    } else if (series.some(value => typeof value !== "number" || isNaN(value) || value < min || value > max)) {
+      errors.push(message);
+    }
+  });
+
+  [[scenario.fees, feeRules(unitScale)], [scenario.taxes, TAX_RULES]].forEach(([settings, rules]) => {
+    if (!settings) return;
+    Object.entries(rules).forEach(([key, { min, max, message }]) => {
+      const value = settings[key];
+      if (typeof value !== "number" || isNaN(value) || value < min || value > max) {
+        errors.push(message);
+      }
+    });
+  });
+
+  if (scenario.currency) {
+    const { local, base, startRate, rates } = scenario.currency;
+    const { min, max, message } = rules.fxRate;
+    if ([local, base].some(code => typeof code !== "string" || !/^[A-Z]{3}$/.test(code))) {
+      errors.push("Currency codes must be three capital letters (e.g., EUR)");
+    }
+    if (!Array.isArray(rates) || rates.length !== investment.length) {
+      errors.push("Exchange rates must have one value per period");
+    } else if ([startRate, ...rates].some(rate => typeof rate !== "number" || isNaN(rate) || rate < min || rate > max)) {
+      errors.push(message);
+    }
+  }
+
+  if (scenario.timing) {
+    const timing = resolveTiming(scenario);
+    if (TIMED_FLOWS.some(flow => !Object.hasOwn(TIMING_POINTS, timing[flow]))) {
+      errors.push("Flow timing must be beginning, middle or end");
+    }
+    if (typeof timing.dividendsInTwr !== "boolean") {
+      errors.push("Whether paid-out dividends count toward the TWR must be true or false");
+    }
+  }
+
+  if (scenario.portfolio) {
+    validatePortfolio(scenario.portfolio, investment.length, rules).forEach(error => errors.push(error));
+  }
+
+  if (dates) {
+    const { start, periodEnds = [], investment: investmentDates = [], withdrawal: withdrawalDates = [] } = dates;
+    const periodStarts = [start, ...periodEnds.slice(0, -1)];
+    const within = (date, i) =>
+      Date.parse(date) >= Date.parse(periodStarts[i]) && Date.parse(date) <= Date.parse(periodEnds[i]);
+
+    if (periodEnds.length !== investment.length ||
+        [start, ...periodEnds].some(d => isNaN(Date.parse(d))) ||
+        periodEnds.some((end, i) => Date.parse(end) <= Date.parse(periodStarts[i]))) {
+      errors.push("Period end dates must be valid and each must fall after the previous period's end");
+    } else {
+      if (periodEnds.some((_, i) => !within(investmentDates[i], i))) {
+        errors.push("Investment dates must fall within their period");
+      }
+      if (periodEnds.some((_, i) => !within(withdrawalDates[i], i))) {
+        errors.push("Withdrawal dates must fall within their period");
+      }
+    }
+  }
+
+  return errors;
+}
+
+function validatePortfolio(portfolio, periodCount, rules) {
+  const { holdings } = portfolio;
+  if (!Array.isArray(holdings) || holdings.length === 0) return ["A portfolio needs at least one holding"];
+  if (holdings.some(holding => !holding || typeof holding !== "object")) return ["Every holding must be an object"];
+  const errors = [];
+  if (holdings.some(holding => typeof holding.name !== "string" || holding.name.trim() === "")) {
+    errors.push("Every holding needs a name");
+  }
+  holdings.forEach((holding, index) => {
+    const label = typeof holding.name === "string" && holding.name.trim() !== "" ? holding.name : `Holding ${index + 1}`;
+    const rows = INPUT_ROWS.map(row => holding[row]);
+    if (rows.some(values => !Array.isArray(values) || values.length !== periodCount)) {
+      errors.push(`${label}: every input row must have one value per period`);
+      return;
+    }
+    INPUT_ROWS.forEach((row, k) => {
+      const { min, max, message } = rules[row];
+      if (rows[k].some(value => typeof value !== "number" || isNaN(value) || value < min || value > max)) {
+        errors.push(`${label}: ${message}`);
+      }
+    });
+  });
+
+  const { rule, targets, band } = resolveRebalancing(portfolio);
+  if (!Object.hasOwn(REBALANCING_RULES, rule)) {
+    errors.push("Rebalancing must be none, annual or threshold");
+  } else if (rule !== "none") {
+    if (!Array.isArray(targets) || targets.length !== holdings.length ||
+        targets.some(t => typeof t !== "number" || isNaN(t) || t < 0 || t > 1) ||
+        Math.abs(targets.reduce((acc, t) => acc + t, 0) - 1) > 1e-9) {
+      errors.push("Target weights must be between 0% and 100% and add up to 100%");
+    }
+    if (rule === "threshold" && (typeof band !== "number" || isNaN(band) || band < 0 || band > 1)) {
+      errors.push("The rebalancing band must be between 0% and 100%");
+    }
+  }
+  return errors;
+}
+
+// Runs a validated scenario; callers should check validateScenario first.
+// Pass { irrAnalysis: false } to skip the IRR root scan when running many scenarios (simulation).
+export function runScenario(scenario, { irrAnalysis = true } = {}) {
+  const { returns, dates } = scenario;
+  const unitScale = scenario.unitScale ?? DEFAULT_UNIT_SCALE;
+  const dated = Boolean(dates);
+
+  // Convert amounts from input units to actual dollars for calculations
+  const investmentActual = scenario.investment.map(inv => inv * unitScale);
+  const divReinvestedActual = scenario.divReinvested.map(div => div * unitScale);
+  const divNotReinvestedActual = scenario.divNotReinvested.map(div => div * unitScale);
+  const withdrawalsActual = scenario.withdrawals.map(w => w * unitScale);
+
+  const totalDividends = divReinvestedActual.map((val, i) => val + divNotReinvestedActual[i]);
+  const amounts = { investmentActual, divReinvestedActual, divNotReinvestedActual, withdrawalsActual, totalDividends };
+
+  // Timing as fractions of the period
+  const timingSettings = resolveTiming(scenario);
+  const timing = Object.fromEntries(TIMED_FLOWS.map(flow => [flow, TIMING_POINTS[timingSettings[flow]].fraction]));
+  timing.dividendsInTwr = timingSettings.dividendsInTwr;
+
+  // Flow timing in years: actual/365 from the start date in dated mode, period index otherwise
+  const lastIndex = investmentActual.length - 1;
+  const timeOf = date => yearFraction(dates.start, date);
+  const periodStartTimes = investmentActual.map((_, i) =>
+    dated ? (i === 0 ? 0 : timeOf(dates.periodEnds[i - 1])) : i
+  );
+  const periodEndTimes = investmentActual.map((_, i) => dated ? timeOf(dates.periodEnds[i]) : i + 1);
+  const investmentTimes = investmentActual.map((_, i) => dated ? timeOf(dates.investment[i]) : i + timing.investment);
+  const withdrawalTimes = investmentActual.map((_, i) => dated ? timeOf(dates.withdrawal[i]) : i + timing.withdrawal);
+  const dividendTimes = investmentActual.map((_, i) => dated ? periodEndTimes[i] : i + timing.dividend);
+  const totalYears = periodEndTimes[lastIndex];
+  // Point in its period at which each investment and withdrawal earns from: its date in dated mode
+  const fractionOf = times => times.map((time, i) =>
+    (time - periodStartTimes[i]) / (periodEndTimes[i] - periodStartTimes[i]));
+  const flowFractions = {
+    investment: fractionOf(investmentTimes),
+    withdrawal: fractionOf(withdrawalTimes)
+  };
+
+  const { fees: feeSettings = null, taxes: taxSettings = null } = scenario;
+  const net = rollForward(amounts, returns, { feeSettings, taxSettings }, unitScale, timing, flowFractions);
+  const gross = feeSettings ? rollForward(amounts, returns, {}, unitScale, timing, flowFractions) : null;
+  const preTax = taxSettings ? rollForward(amounts, returns, { feeSettings }, unitScale, timing, flowFractions) : null;
+  const { startValues, gains, endValues, cashFlows, midPeriodCashFlows, totalReturns, fees, taxes, dividendsPaid } = net;
+
+  // Fees and taxes come out of the portfolio (or the paid-out dividend), so they reduce each period's return
+  const subPeriodReturns = net.periodReturns;
+  const irr = calculateIRR(cashFlows, midPeriodCashFlows);
+  // Annualized over the actual years in dated mode, like Modified Dietz and XIRR (one year per period otherwise)
+  const twr = chainLink(subPeriodReturns, totalYears);
+
+  // External flows into the portfolio; non-reinvested dividends leave it when they are paid out
+  const externalFlows = investmentActual.map((inv, i) => [
+    { amount: inv, time: investmentTimes[i] },
+    { amount: withdrawalsActual[i], time: withdrawalTimes[i] },
+    { amount: -dividendsPaid[i], time: dividendTimes[i] }
+  ]);
+  const subPeriods = endValues.map((endValue, i) => ({
+    beginValue: i === 0 ? 0 : endValues[i - 1],
+    endValue,
+    flows: externalFlows[i],
+    startTime: periodStartTimes[i],
+    endTime: periodEndTimes[i]
+  }));
+  const modifiedDietz = annualize(
+    calculateModifiedDietz(0, endValues[lastIndex], externalFlows.flat(), 0, totalYears),
+    totalYears
+  );
+  const linkedModifiedDietz = annualize(calculateLinkedModifiedDietz(subPeriods), totalYears);
+
+  // XIRR uses the same investor-side signs as the IRR cash flows, placed on their actual dates
+  const datedFlows = [
+    ...investmentActual.flatMap((inv, i) => [
+      { amount: -inv, time: investmentTimes[i] },
+      { amount: -withdrawalsActual[i], time: withdrawalTimes[i] },
+      { amount: dividendsPaid[i], time: dividendTimes[i] }
+    ]),
+    { amount: endValues[lastIndex], time: totalYears }
+  ];
+  const xirr = dated ? calculateXIRR(datedFlows) : NaN;
+
+  // Root analysis for the headline money-weighted return (dated flows in dated mode)
+  const mwrFlows = dated ? datedFlows : toPeriodicFlows(cashFlows, midPeriodCashFlows);
+
+  const benchmark = scenario.benchmark
+    ? benchmarkStats(scenario.benchmark, twr, subPeriodReturns, subPeriods, totalYears)
+    : null;
+
+  const inflation = scenario.inflation ? inflationStats(scenario.inflation, totalYears) : null;
+  // Exact Fisher relation, (1 + nominal) / (1 + inflation) - 1, over the same number of years
+  const deflate = rate => (inflation ? (1 + rate) / (1 + inflation.annualized) - 1 : NaN);
+
+  const currency = scenario.currency
+    ? currencyStats(scenario.currency, { startValues, endValues, cashFlows, midPeriodCashFlows, twr, irr }, totalYears)
+    : null;
+
+  return {
+    periodCount: endValues.length,
+    startValues,
+    gains,
+    endValues,
+    totalDividends,
+    cashFlows,
+    midPeriodCashFlows,
+    totalReturns,
+    subPeriodReturns,
+    subPeriods,
+    metrics: {
+      irr,
+      twr,
+      xirr,
+      modifiedDietz,
+      linkedModifiedDietz,
+      annualGeometric: geometricMean(returns),
+      annualArithmetic: arithmeticMean(returns),
+      benchmarkAnnualized: benchmark ? benchmark.annualized : NaN,
+      grossIrr: gross ? calculateIRR(gross.cashFlows, gross.midPeriodCashFlows) : NaN,
+      grossTwr: gross ? chainLink(gross.periodReturns, totalYears) : NaN,
+      preTaxIrr: preTax ? calculateIRR(preTax.cashFlows, preTax.midPeriodCashFlows) : NaN,
+      preTaxTwr: preTax ? chainLink(preTax.periodReturns, totalYears) : NaN,
+      // Real IRR discounts the constant-dollar cash flows, which is exact when inflation varies by period;
+      // a mid-period flow is deflated by the geometric midpoint of the price level
+      realIrr: inflation
+        ? calculateIRR(
+          cashFlows.map((cf, t) => cf / inflation.priceIndex[t]),
+          midPeriodCashFlows.map((cf, i) => cf / Math.sqrt(inflation.priceIndex[i] * inflation.priceIndex[i + 1]))
+        )
+        : NaN,
+      realTwr: deflate(twr),
+      // Each period's price return deflated by that period's inflation, so the mean stays per period
+      realGeometric: inflation
+        ? geometricMean(returns.map((r, i) => (1 + r) / (1 + scenario.inflation[i]) - 1))
+        : NaN,
+      baseIrr: currency ? currency.mwr.base : NaN,
+      baseTwr: currency ? currency.twr.base : NaN
+    },
+    benchmark,
+    fees,
+    taxes: taxes && { ...taxes, dividendsPaid },
+    inflation,
+    currency,
+    portfolio: scenario.portfolio
+      ? portfolioStats(scenario.portfolio, { ...timing, dividendsInTwr: timingSettings.dividendsInTwr }, unitScale, {
+        flowFractions,
+        years: totalYears,
+        times: dated ? { investment: investmentTimes, withdrawal: withdrawalTimes, dividend: dividendTimes } : null
+      })
+      : null,
+    gross: gross
+      ? {
+        startValues: gross.startValues,
+        gains: gross.gains,
+        endValues: gross.endValues,
+        cashFlows: gross.cashFlows,
+        midPeriodCashFlows: gross.midPeriodCashFlows
+      }
+      : null,
+    irrAnalysis: irrAnalysis
+      ? { flows: mwrFlows, roots: findAllIRRs(mwrFlows), signChanges: countSignChanges(mwrFlows) }
+      : null
+  };
+}
+
+// Annualized TWR from the chain of per-period returns over the given number of years
+function chainLink(periodReturns, years) {
+  return annualize(periodReturns.reduce((acc, r) => acc * (1 + r), 1) - 1, years);
+}
+
+// Balance roll-forward. Investments and withdrawals happen at flowFractions (their timing, or their
+// dates in dated mode) and earn the period's return from then on, compounded; the periodic IRR cash
+// flows stay on the timing grid. Dividends not reinvested are paid straight to the investor. With fees, each
+// period's management, performance and transaction fees are deducted at period end; the performance
+// fee is tracked on a unit value (growth of 1) so external flows do not count as performance, and
+// the high-water mark is the highest unit value after fees.
+// Taxes follow the fees. On the realized basis a withdrawal sells a pro-rata share of the portfolio,
+// realizing the same share of the unrealized gain over cost, and the last period ends in a full
+// liquidation so every metric is post-liquidation.
+function rollForward(amounts, returns, { feeSettings = null, taxSettings = null }, unitScale, timing, flowFractions) {
+  const { investmentActual, divReinvestedActual, divNotReinvestedActual, withdrawalsActual, totalDividends } = amounts;
+  const lastIndex = investmentActual.length - 1;
+  const startValues = [];
+  const gains = [];
+  const endValues = [];
+  const dividendsPaid = [];
+  const totalReturns = [];
+  const periodReturns = [];
+  const fees = feeSettings
+    ? { management: [], performance: [], transaction: [], total: [], balanceBeforeFees: [] }
+    : null;
+  const taxes = taxSettings ? { dividend: [], capitalGains: [], total: [] } : null;
+
+  let unitValue = 1;
+  let highWaterMark = 1;
+  let costBasis = 0;
+  let lossCarryForward = 0;
+
+  // Capital gains tax on a gain after offsetting losses carried forward
+  const taxOnGain = gain => {
+    const offset = Math.min(Math.max(gain, 0), lossCarryForward);
+    lossCarryForward += Math.max(-gain, 0) - offset;
+    return taxSettings.capitalGainsRate * Math.max(gain - offset, 0);
+  };
+
+  for (let i = 0; i <= lastIndex; i++) {
+    const open = i === 0 ? 0 : endValues[i - 1];
+    const growth = 1 + returns[i];
+    const flows = [
+      { amount: investmentActual[i], fraction: flowFractions.investment[i] },
+      { amount: withdrawalsActual[i], fraction: flowFractions.withdrawal[i] }
+    ];
+    // What a flow at this point in the period is worth at period end
+    const toEnd = ({ amount, fraction }) => amount * Math.pow(growth, 1 - fraction);
+    const paidDividend = { amount: divNotReinvestedActual[i], fraction: timing.dividend };
+    const reinvestedDividend = { amount: divReinvestedActual[i], fraction: 1 };
+
+    startValues[i] = open + flows.reduce((acc, f) => acc + (f.fraction === 0 ? f.amount : 0), 0);
+    gains[i] = open * returns[i] + flows.reduce((acc, f) => acc + toEnd(f) - f.amount, 0);
+    const beforeFees = open + gains[i] + investmentActual[i] + withdrawalsActual[i] + divReinvestedActual[i];
+    // Capital at work over the period, each flow weighted by the share of the period it is invested
+    const capital = open + flows.reduce((acc, f) => acc + f.amount * (1 - f.fraction), 0);
+    const income = [reinvestedDividend, ...(timing.dividendsInTwr ? [paidDividend] : [])];
+    totalReturns[i] = linkPeriod([{ open, flows, income, growth }]) - 1;
+    let periodFees = 0;
+
+    if (fees) {
+      const start = startValues[i];
+      const managementBase = feeSettings.managementBasis === "start" ? start : (start + beforeFees) / 2;
+      const management = feeSettings.managementRate * Math.max(0, managementBase);
+
+      let performance = 0;
+      if (capital > 0) {
+        const afterManagement = linkPeriod([{ open, flows, income: [reinvestedDividend, paidDividend], growth }]) - management / capital;
+        const hurdle = 1 + feeSettings.hurdleRate;
+        const threshold = feeSettings.highWaterMark ? Math.max(hurdle, highWaterMark / unitValue) : hurdle;
+        performance = feeSettings.performanceRate * capital * Math.max(0, afterManagement - threshold);
+        unitValue *= afterManagement - performance / capital;
+        highWaterMark = Math.max(highWaterMark, unitValue);
+      }
+
+      const transactionCount = [investmentActual[i], withdrawalsActual[i]].filter(amount => amount !== 0).length;
+      const transaction = transactionCount * feeSettings.transactionFee * unitScale;
+
+      periodFees = management + performance + transaction;
+      fees.management.push(management);
+      fees.performance.push(performance);
+      fees.transaction.push(transaction);
+      fees.total.push(periodFees);
+      fees.balanceBeforeFees.push(beforeFees);
+    }
+
+    const beforeTaxes = beforeFees - periodFees;
+    // Fees and taxes paid from the portfolio, all at period end
+    let deductions = periodFees;
+
+    if (!taxes) {
+      endValues[i] = beforeTaxes;
+      dividendsPaid[i] = divNotReinvestedActual[i];
+    } else {
+      const dividendTax = taxSettings.dividendRate * totalDividends[i];
+      const reinvestedDividendTax = taxSettings.dividendRate * divReinvestedActual[i];
+      // A positive withdrawal is a contribution and buys in at cost like an investment
+      costBasis += investmentActual[i] + Math.max(withdrawalsActual[i], 0) + divReinvestedActual[i] - reinvestedDividendTax;
+
+      let capitalGainsTax;
+      if (taxSettings.gainsBasis === "markToMarket") {
+        capitalGainsTax = taxOnGain(gains[i] - periodFees);
+      } else {
+        // Withdrawals are signed, so the value before the sale adds a withdrawal taken out (grown to
+        // period end) back; a contribution is already part of the value
+        const saleAtEnd = Math.max(-toEnd(flows[1]), 0);
+        const valueBeforeSale = beforeTaxes - reinvestedDividendTax + saleAtEnd;
+        const soldShare = i === lastIndex
+          ? 1
+          : valueBeforeSale > 0 ? Math.min(saleAtEnd / valueBeforeSale, 1) : 0;
+        capitalGainsTax = taxOnGain(soldShare * (valueBeforeSale - costBasis));
+        costBasis -= soldShare * costBasis;
+      }
+
+      const valueAfterTax = beforeTaxes - reinvestedDividendTax - capitalGainsTax;
+      // Tax paid out of the portfolio sells holdings at cost, without realizing further gains
+      if (taxSettings.gainsBasis !== "markToMarket" && beforeTaxes - reinvestedDividendTax > 0) {
+        costBasis *= Math.max(valueAfterTax, 0) / (beforeTaxes - reinvestedDividendTax);
+      }
+
+      taxes.dividend.push(dividendTax);
+      taxes.capitalGains.push(capitalGainsTax);
+      taxes.total.push(dividendTax + capitalGainsTax);
+      endValues[i] = valueAfterTax;
+      dividendsPaid[i] = divNotReinvestedActual[i] - (dividendTax - reinvestedDividendTax);
+      deductions += reinvestedDividendTax + capitalGainsTax;
+    }
+
+    const netIncome = [
+      { amount: divReinvestedActual[i] - deductions, fraction: 1 },
+      ...(timing.dividendsInTwr ? [{ amount: dividendsPaid[i], fraction: timing.dividend }] : [])
+    ];
+    periodReturns[i] = linkPeriod([{ open, flows, income: netIncome, growth }]) - 1;
+  }
+
+  // Investor cash flows for the IRR (in actual dollars): investments are paid in, withdrawals and
+  // paid-out dividends received, and the final balance closes the account
+  const cashFlows = new Array(lastIndex + 2).fill(0);
+  const midPeriodCashFlows = new Array(lastIndex + 1).fill(0);
+  investmentActual.forEach((inv, i) => {
+    [
+      { amount: -inv, fraction: timing.investment },
+      { amount: -withdrawalsActual[i], fraction: timing.withdrawal },
+      { amount: dividendsPaid[i], fraction: timing.dividend }
+    ].forEach(({ amount, fraction }) => {
+      if (fraction === TIMING_POINTS.middle.fraction) midPeriodCashFlows[i] += amount;
+      else cashFlows[i + fraction] += amount;
+    });
+  });
+  cashFlows[lastIndex + 1] += endValues[lastIndex];
+
+  return {
+    startValues, gains, endValues, cashFlows, midPeriodCashFlows, totalReturns, periodReturns, dividendsPaid, fees, taxes
+  };
+}
+
+// Price level from compounding each period's inflation; annualized over the same years as the TWR
+function inflationStats(inflationRates, years) {
+  const priceIndex = [1];
+  inflationRates.forEach((rate, i) => priceIndex.push(priceIndex[i] * (1 + rate)));
+  const cumulative = priceIndex[priceIndex.length - 1] - 1;
+  return {
+    cumulative,
+    annualized: annualize(cumulative, years),
+    priceIndex
+  };
+}
+
+// Converts at the rate on each amount's date and splits base-currency returns into local, currency
+// and cross terms. The currency TWR is the annualized change in the rate over the same years as the TWR.
+function currencyStats({ local, base, startRate, rates }, { startValues, endValues, cashFlows, midPeriodCashFlows, twr, irr }, years) {
+  const ratesAt = [startRate, ...rates];
+  const n = rates.length;
+  const currencyReturns = rates.map((rate, i) => rate / ratesAt[i] - 1);
+  const currencyTwr = Math.pow(ratesAt[n] / startRate, 1 / years) - 1;
+  const baseTwr = (1 + twr) * (1 + currencyTwr) - 1;
+  const baseCashFlows = cashFlows.map((cf, t) => cf * ratesAt[t]);
+  const baseMidPeriodCashFlows = midPeriodCashFlows.map((cf, i) => cf * Math.sqrt(ratesAt[i] * ratesAt[i + 1]));
+  const baseIrr = calculateIRR(baseCashFlows, baseMidPeriodCashFlows);
+  const currencyMwr = (1 + baseIrr) / (1 + irr) - 1;
+
+  return {
+    local,
+    base,
+    rates: ratesAt,
+    startValues: startValues.map((value, i) => value * ratesAt[i]),
+    endValues: endValues.map((value, i) => value * ratesAt[i + 1]),
+    cashFlows: baseCashFlows,
+    midPeriodCashFlows: baseMidPeriodCashFlows,
+    currencyReturns,
+    twr: { local: twr, currency: currencyTwr, cross: baseTwr - twr - currencyTwr, base: baseTwr },
+    mwr: { local: irr, currency: currencyMwr, cross: baseIrr - irr - currencyMwr, base: baseIrr }
+  };
+}
+
+// Benchmark returns are annualized over the same years as the TWR, so the excess returns compare like with like
+function benchmarkStats(benchmarkReturns, twr, subPeriodReturns, subPeriods, years) {
+  const n = benchmarkReturns.length;
+  const cumulative = benchmarkReturns.reduce((acc, r) => acc * (1 + r), 1) - 1;
+  const annualized = annualize(cumulative, years);
+
+  const activeReturns = subPeriodReturns.map((r, i) => r - benchmarkReturns[i]);
+  const meanActive = arithmeticMean(activeReturns);
+  const trackingError = n > 1
+    ? Math.sqrt(activeReturns.reduce((acc, a) => acc + (a - meanActive) ** 2, 0) / (n - 1))
+    : NaN;
+
+  // Same external flows (investments, withdrawals, dividend payouts) invested in the benchmark instead;
+  // each flow earns the benchmark return for the rest of its period
+  const wealth = [];
+  benchmarkReturns.forEach((r, i) => {
+    const { flows, startTime, endTime } = subPeriods[i];
+    const grown = flows.reduce((acc, f) => acc + f.amount * Math.pow(1 + r, (endTime - f.time) / (endTime - startTime)), 0);
+    wealth.push((i === 0 ? 0 : wealth[i - 1]) * (1 + r) + grown);
+  });
+
+  return {
+    cumulative,
+    annualized,
+    arithmeticExcess: twr - annualized,
+    geometricExcess: (1 + twr) / (1 + annualized) - 1,
+    trackingError,
+    informationRatio: trackingError > 0 ? meanActive / trackingError : NaN,
+    activeReturns,
+    wealth
+  };
+}
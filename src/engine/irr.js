@@ -0,0 +1,125 @@
+// Search range for IRR roots; below -100% the discount factor is undefined
+export const IRR_RATE_MIN = -0.99;
+export const IRR_RATE_MAX = 10;
+
+// Flows are { amount, time } with time in years from the first flow (actual/365 in dated mode)
+export function npvAt(flows, rate) {
+  return flows.reduce((acc, f) => acc + f.amount / Math.pow(1 + rate, f.time), 0);
+}
+
+function hasSolvableFlows(flows) {
+  if (!flows || flows.length < 2) return false;
+  if (flows.every(f => f.amount === 0)) return false;
+  return flows.every(f => isFinite(f.amount) && isFinite(f.time));
+}
+
+// Descartes' rule of signs: there are at most as many IRRs as sign changes
+export function countSignChanges(flows) {
+  const signs = [...flows]
+    .sort((a, b) => a.time - b.time)
+    .map(f => Math.sign(f.amount))
+    .filter(sign => sign !== 0);
+  return signs.reduce((count, sign, i) => (i > 0 && sign !== signs[i - 1] ? count + 1 : count), 0);
+}
+
+// onIteration, when given, receives { iteration, rate, npv, slope, next } for every Newton step
+function newtonIRR(flows, guess = 0.1, onIteration) {
+  let maxIter = 100;
+  let tol = 1e-6;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    let npv = 0;
+    let dnpv = 0;
+
+    for (const { amount, time } of flows) {
+      npv += amount / Math.pow(1 + guess, time);
+      dnpv += -time * amount / Math.pow(1 + guess, time + 1);
+    }
+
+    if (Math.abs(dnpv) < tol) return NaN; // Avoid division by zero
+
+    const newGuess = guess - npv / dnpv;
+    if (onIteration) onIteration({ iteration: iter + 1, rate: guess, npv, slope: dnpv, next: newGuess });
+    if (Math.abs(newGuess - guess) < tol) return newGuess;
+    guess = newGuess;
+
+    // Prevent runaway values
+    if (guess < IRR_RATE_MIN || guess > IRR_RATE_MAX) return NaN;
+  }
+  return NaN;
+}
+
+function bisectIRR(flows, lo, hi) {
+  let npvLo = npvAt(flows, lo);
+
+  for (let iter = 0; iter < 200; iter++) {
+    const mid = (lo + hi) / 2;
+    const npvMid = npvAt(flows, mid);
+    if (npvMid === 0 || (hi - lo) / 2 < 1e-10) return mid;
+
+    if (Math.sign(npvMid) === Math.sign(npvLo)) {
+      lo = mid;
+      npvLo = npvMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Scans a grid that is uniform in ln(1 + r) and bisects every bracket where NPV changes sign.
+// Roots where NPV only touches zero without crossing are not detected.
+export function findAllIRRs(flows, steps = 2000) {
+  if (!hasSolvableFlows(flows)) return [];
+
+  const xMin = Math.log(1 + IRR_RATE_MIN);
+  const xMax = Math.log(1 + IRR_RATE_MAX);
+  const roots = [];
+
+  let prevRate = IRR_RATE_MIN;
+  let prevNpv = npvAt(flows, prevRate);
+  if (prevNpv === 0) roots.push(prevRate);
+
+  for (let k = 1; k <= steps; k++) {
+    const rate = Math.exp(xMin + (xMax - xMin) * k / steps) - 1;
+    const npv = npvAt(flows, rate);
+
+    if (npv === 0) {
+      roots.push(rate);
+    } else if (prevNpv !== 0 && Math.sign(npv) !== Math.sign(prevNpv)) {
+      roots.push(bisectIRR(flows, prevRate, rate));
+    }
+    prevRate = rate;
+    prevNpv = npv;
+  }
+  return roots;
+}
+
+// Newton-Raphson first; if it fails, fall back to the bracketed root nearest the initial guess
+export function solveIRR(flows, guess = 0.1, onIteration) {
+  if (!hasSolvableFlows(flows)) return NaN;
+
+  const newton = newtonIRR(flows, guess, onIteration);
+  if (!isNaN(newton)) return newton;
+
+  const roots = findAllIRRs(flows);
+  if (roots.length === 0) return NaN;
+  return roots.reduce((best, r) => (Math.abs(r - guess) < Math.abs(best - guess) ? r : best));
+}
+
+// Cash flows at t = 0..n, plus any at the middle of each period (t = i + 0.5)
+export function toPeriodicFlows(cashFlows, midPeriodCashFlows = []) {
+  const midPeriod = midPeriodCashFlows
+    .map((amount, i) => ({ amount, time: i + 0.5 }))
+    .filter(f => f.amount !== 0);
+  return [...cashFlows.map((amount, time) => ({ amount, time })), ...midPeriod].sort((a, b) => a.time - b.time);
+}
+
+export function calculateIRR(cashFlows, midPeriodCashFlows) {
+  if (!cashFlows) return NaN;
+  return solveIRR(toPeriodicFlows(cashFlows, midPeriodCashFlows));
+}
+
+export function calculateXIRR(flows) {
+  return solveIRR(flows);
+}
@@ -0,0 +1,176 @@
+// Multi-holding portfolios: several holdings (asset classes or funds), each with its own returns,
+// dividends and flows, rolled forward like the single account (without fees, taxes or currency)
+// and combined into portfolio-level returns and per-holding contributions.
+//
+// Rebalancing trades happen at period end after the dividends, moving money between holdings
+// without any external flow, so they change the weights but not the portfolio's return.
+
+import { calculateIRR, calculateXIRR } from "./irr.js";
+import { annualize, linkPeriod } from "./returns.js";
+
+export const REBALANCING_RULES = {
+  none: "No rebalancing",
+  annual: "Back to target every year",
+  threshold: "When a weight drifts past the band"
+};
+
+export const DEFAULT_REBALANCING = { rule: "none", targets: null, band: 0.05 };
+
+// The portfolio's rebalancing settings with defaults filled in
+export function resolveRebalancing(portfolio) {
+  return { ...DEFAULT_REBALANCING, ...portfolio.rebalancing };
+}
+
+// A holding with every input at zero, for n periods
+export function emptyHolding(name, n) {
+  return {
+    name,
+    investment: new Array(n).fill(0),
+    returns: new Array(n).fill(0),
+    divReinvested: new Array(n).fill(0),
+    divNotReinvested: new Array(n).fill(0),
+    withdrawals: new Array(n).fill(0)
+  };
+}
+
+// A starting portfolio for a scenario: its own inputs as the first holding and an empty second one,
+// so the portfolio matches the single account until the second holding is filled in
+export function defaultPortfolio(scenario) {
+  const n = scenario.investment.length;
+  return {
+    holdings: [
+      {
+        name: "Holding 1",
+        investment: [...scenario.investment],
+        returns: [...scenario.returns],
+        divReinvested: [...scenario.divReinvested],
+        divNotReinvested: [...scenario.divNotReinvested],
+        withdrawals: [...scenario.withdrawals]
+      },
+      emptyHolding("Holding 2", n)
+    ],
+    rebalancing: { ...DEFAULT_REBALANCING, targets: [0.5, 0.5] }
+  };
+}
+
+// Trades that bring the holdings back to their target weights, or zeros when the rule does not
+// call for a rebalance (or there is nothing to rebalance)
+function rebalancingTrades(values, { rule, targets, band }) {
+  const none = values.map(() => 0);
+  const total = values.reduce((acc, v) => acc + v, 0);
+  if (rule === "none" || !(total > 0)) return none;
+  if (rule === "threshold" && values.every((value, k) => Math.abs(value / total - targets[k]) <= band)) {
+    return none;
+  }
+  return values.map((value, k) => targets[k] * total - value);
+}
+
+// Portfolio statistics for validated holdings (amounts in input units, multiplied by unitScale).
+// timing holds the fraction of the period at which each flow type happens and dividendsInTwr; the
+// schedule comes from the account's run: flowFractions place each investment and withdrawal in its
+// period (its date in dated mode), years annualize the TWR, and times, null unless dated, place the
+// flows in years for the XIRR. So the portfolio's returns are on the same basis as the account's.
+// Each holding's capital at work is its opening value plus its flows weighted by the share of the
+// period they are invested; weights are shares of the portfolio's capital, returns are Modified
+// Dietz returns on the holding's own capital, and weight × return is the contribution, so the
+// contributions add up to the portfolio's Modified Dietz return for the period.
+export function portfolioStats(portfolio, timing, unitScale, { flowFractions, years, times }) {
+  const { holdings } = portfolio;
+  const rebalancing = resolveRebalancing(portfolio);
+  const n = holdings[0].investment.length;
+  const rows = holdings.map(holding => ({
+    name: holding.name,
+    startValues: [],
+    endValues: [],
+    trades: [],
+    weights: [],
+    returns: [],
+    contributions: [],
+    periodReturns: []
+  }));
+  const periodReturns = [];
+  const contributionTotals = [];
+  const startValues = [];
+  const endValues = [];
+  const cashFlows = new Array(n + 1).fill(0);
+  const midPeriodCashFlows = new Array(n).fill(0);
+  const datedFlows = [];
+  // Value of each holding carried into the next period, after any rebalancing trade
+  let carried = holdings.map(() => 0);
+
+  for (let i = 0; i < n; i++) {
+    const parts = holdings.map((holding, k) => {
+      const flows = [
+        { amount: holding.investment[i] * unitScale, fraction: flowFractions.investment[i] },
+        { amount: holding.withdrawals[i] * unitScale, fraction: flowFractions.withdrawal[i] }
+      ];
+      const reinvested = { amount: holding.divReinvested[i] * unitScale, fraction: 1 };
+      const paid = { amount: holding.divNotReinvested[i] * unitScale, fraction: timing.dividend };
+      return {
+        open: carried[k],
+        growth: 1 + holding.returns[i],
+        flows,
+        income: [reinvested, ...(timing.dividendsInTwr ? [paid] : [])],
+        reinvested,
+        paid
+      };
+    });
+
+    const capitals = parts.map(part => part.open + part.flows.reduce((acc, f) => acc + f.amount * (1 - f.fraction), 0));
+    const totalCapital = capitals.reduce((acc, c) => acc + c, 0);
+    const ends = parts.map((part, k) => {
+      const gain = part.open * (part.growth - 1) +
+        part.flows.reduce((acc, f) => acc + f.amount * (Math.pow(part.growth, 1 - f.fraction) - 1), 0);
+      const earned = gain + part.income.reduce((acc, f) => acc + f.amount, 0);
+      const row = rows[k];
+      row.startValues.push(part.open + part.flows.reduce((acc, f) => acc + (f.fraction === 0 ? f.amount : 0), 0));
+      row.weights.push(totalCapital > 0 ? capitals[k] / totalCapital : NaN);
+      row.returns.push(capitals[k] > 0 ? earned / capitals[k] : NaN);
+      row.contributions.push(totalCapital > 0 ? earned / totalCapital : NaN);
+      row.periodReturns.push(linkPeriod([part]) - 1);
+      return part.open + gain + part.flows.reduce((acc, f) => acc + f.amount, 0) + part.reinvested.amount;
+    });
+
+    periodReturns.push(linkPeriod(parts) - 1);
+    contributionTotals.push(rows.reduce((acc, row) => acc + row.contributions[i], 0));
+    startValues.push(rows.reduce((acc, row) => acc + row.startValues[i], 0));
+    endValues.push(ends.reduce((acc, v) => acc + v, 0));
+
+    // Investor cash flows: investments paid in, withdrawals and paid-out dividends received
+    parts.forEach(part => {
+      [
+        { amount: -part.flows[0].amount, fraction: timing.investment, time: times?.investment[i] },
+        { amount: -part.flows[1].amount, fraction: timing.withdrawal, time: times?.withdrawal[i] },
+        { amount: part.paid.amount, fraction: timing.dividend, time: times?.dividend[i] }
+      ].forEach(({ amount, fraction, time }) => {
+        // Flows in the middle of the period go on the half-period grid, like the single account's
+        if (fraction === 0.5) midPeriodCashFlows[i] += amount;
+        else cashFlows[i + fraction] += amount;
+        if (times) datedFlows.push({ amount, time });
+      });
+    });
+
+    const trades = i < n - 1 ? rebalancingTrades(ends, rebalancing) : ends.map(() => 0);
+    rows.forEach((row, k) => {
+      row.endValues.push(ends[k]);
+      row.trades.push(trades[k]);
+    });
+    carried = ends.map((end, k) => end + trades[k]);
+  }
+  cashFlows[n] += endValues[n - 1];
+  datedFlows.push({ amount: endValues[n - 1], time: years });
+
+  const chain = links => annualize(links.reduce((acc, r) => acc * (1 + r), 1) - 1, years);
+  return {
+    holdings: rows.map(row => ({ ...row, twr: chain(row.periodReturns) })),
+    startValues,
+    endValues,
+    cashFlows,
+    midPeriodCashFlows,
+    periodReturns,
+    contributionTotals,
+    twr: chain(periodReturns),
+    irr: calculateIRR(cashFlows, midPeriodCashFlows),
+    xirr: times ? calculateXIRR(datedFlows) : NaN
+  };
+}
@@ -0,0 +1,95 @@
+// Practice problems: random scenarios with round numbers whose money-weighted return is unique,
+// plus grading of the answers against the engine.
+
+import { runScenario, validateScenario } from "./index.js";
+import { countSignChanges, findAllIRRs, toPeriodicFlows } from "./irr.js";
+import { createRng } from "./simulation.js";
+
+// Answers within this many percentage points (as a decimal) count as correct
+export const PRACTICE_TOLERANCE = 0.001;
+
+// hint names the detail table row (by element id) that holds the numbers to start from
+export const PRACTICE_QUESTIONS = {
+  irr: {
+    name: "Money-Weighted Return (IRR)",
+    hint: "Find the rate r that sets the NPV of the net cash flows to zero.",
+    row: "detail-net-cash-flows"
+  },
+  twr: {
+    name: "Time-Weighted Return",
+    hint: "Multiply (1 + total annual return) across the years, take the n-th root and subtract 1.",
+    row: "detail-total-return"
+  },
+  annualGeometric: {
+    name: "Geometric Mean (Price Only)",
+    hint: "Compound (1 + annual return excluding dividends), take the n-th root and subtract 1.",
+    row: "detail-price-return"
+  },
+  annualArithmetic: {
+    name: "Arithmetic Mean (Price Only)",
+    hint: "Add the annual returns excluding dividends and divide by the number of years.",
+    row: "detail-price-return"
+  }
+};
+
+const MAX_ATTEMPTS = 1000;
+
+// Uniform integer multiple of step in [min, max]
+function pick(rng, min, max, step) {
+  return min + step * Math.floor(rng() * (Math.floor((max - min) / step) + 1));
+}
+
+function draw(rng) {
+  const periods = pick(rng, 2, 4, 1);
+  const scenario = { investment: [], returns: [], divReinvested: [], divNotReinvested: [], withdrawals: [] };
+  let balance = 0;
+
+  for (let i = 0; i < periods; i++) {
+    const investment = i === 0 ? pick(rng, 50, 500, 10) : rng() < 0.5 ? pick(rng, 10, 500, 10) : 0;
+    const ret = pick(rng, -30, 40, 1) / 100;
+    const dividend = rng() < 0.4 ? pick(rng, 1, 10, 1) : 0;
+    const reinvested = rng() < 0.5;
+    // Withdraw up to half the balance, never in the last year
+    const projected = (balance + investment) * (1 + ret);
+    const withdrawal = i < periods - 1 && rng() < 0.3 ? -pick(rng, 0, Math.floor(projected / 2), 10) : 0;
+
+    scenario.investment.push(investment);
+    scenario.returns.push(ret);
+    scenario.divReinvested.push(reinvested ? dividend : 0);
+    scenario.divNotReinvested.push(reinvested ? 0 : dividend);
+    scenario.withdrawals.push(withdrawal);
+    balance = projected + (reinvested ? dividend : 0) + withdrawal;
+  }
+  return scenario;
+}
+
+// A problem is well posed when the inputs are within INPUT_RULES, every period opens with money
+// invested and the cash flows change sign once, so exactly one IRR exists (Descartes' rule of signs)
+function isWellPosed(scenario) {
+  if (validateScenario(scenario).length > 0) return false;
+
+  const result = runScenario(scenario, { irrAnalysis: false });
+  if (result.startValues.some(value => value <= 0)) return false;
+
+  const flows = toPeriodicFlows(result.cashFlows, result.midPeriodCashFlows);
+  return countSignChanges(flows) === 1 && findAllIRRs(flows).length === 1 && !isNaN(result.metrics.irr);
+}
+
+// Returns { scenario, questions } where questions are keys of PRACTICE_QUESTIONS; the same seed
+// always gives the same problem
+export function generatePracticeProblem(seed) {
+  const rng = createRng(seed);
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const scenario = draw(rng);
+    if (isWellPosed(scenario)) {
+      const mean = rng() < 0.5 ? "annualGeometric" : "annualArithmetic";
+      return { scenario: { ...scenario, benchmark: null, dates: null }, questions: ["irr", "twr", mean] };
+    }
+  }
+  throw new Error("Could not generate a well-posed practice problem");
+}
+
+// answer and correct are decimals; NaN answers are wrong
+export function gradeAnswer(answer, correct, tolerance = PRACTICE_TOLERANCE) {
+  return isFinite(answer) && Math.abs(answer - correct) <= tolerance;
+}
@@ -0,0 +1,69 @@
+// 1 + the time-weighted return of one period for one or more holdings linked on their summed values.
+// The period is split at every point where any holding has a flow or income: each stretch earns each
+// holding's price return for its length, income received at a point counts toward the stretch ending
+// there and flows are added after it. A stretch that starts with nothing invested links at 1.
+// Each part is { open, flows, income, growth }; flows and income are { amount, fraction } with
+// fraction the point in the period.
+export function linkPeriod(parts) {
+  const points = [...new Set([
+    ...parts.flatMap(part => [...part.flows, ...part.income]).filter(f => f.amount !== 0).map(f => f.fraction),
+    1
+  ])].sort((a, b) => a - b);
+  const sumAt = (items, point) => items.reduce((acc, f) => acc + (f.fraction === point ? f.amount : 0), 0);
+  const total = values => values.reduce((acc, v) => acc + v, 0);
+
+  let values = parts.map(part => part.open);
+  let time = 0;
+  let link = 1;
+  points.forEach(point => {
+    const grown = values.map((value, k) => value * Math.pow(parts[k].growth, point - time));
+    const income = total(parts.map(part => sumAt(part.income, point)));
+    if (total(values) > 0) link *= (total(grown) + income) / total(values);
+    values = grown.map((value, k) => value + sumAt(parts[k].flows, point));
+    time = point;
+  });
+  return link;
+}
+
+// Holding-period Modified Dietz return; flows are external flows into the portfolio
+export function calculateModifiedDietz(beginValue, endValue, flows, startTime, endTime) {
+  const length = endTime - startTime;
+  if (!(length > 0)) return NaN;
+
+  const netFlow = flows.reduce((acc, f) => acc + f.amount, 0);
+  const weightedFlow = flows.reduce(
+    (acc, f) => acc + f.amount * (endTime - f.time) / length,
+    0
+  );
+
+  const denominator = beginValue + weightedFlow;
+  if (denominator <= 0) return NaN;
+
+  return (endValue - beginValue - netFlow) / denominator;
+}
+
+// Chain-links sub-period Modified Dietz returns into one holding-period return
+export function calculateLinkedModifiedDietz(subPeriods) {
+  if (!subPeriods || subPeriods.length === 0) return NaN;
+
+  const product = subPeriods.reduce((acc, p) => {
+    const r = calculateModifiedDietz(p.beginValue, p.endValue, p.flows, p.startTime, p.endTime);
+    return acc * (1 + r);
+  }, 1);
+  if (isNaN(product) || product <= 0) return NaN;
+
+  return product - 1;
+}
+
+export function annualize(holdingPeriodReturn, years) {
+  if (isNaN(holdingPeriodReturn) || !(years > 0) || holdingPeriodReturn <= -1) return NaN;
+  return Math.pow(1 + holdingPeriodReturn, 1 / years) - 1;
+}
+
+export function geometricMean(returns) {
+  return Math.pow(returns.reduce((acc, ret) => acc * (1 + ret), 1), 1 / returns.length) - 1;
+}
+
+export function arithmeticMean(returns) {
+  return returns.reduce((acc, ret) => acc + ret, 0) / returns.length;
+}
@@ -0,0 +1,63 @@
+// Risk and risk-adjusted measures. Everything is per period, like the inputs; only the Calmar ratio
+// uses the annualized TWR.
+
+export const RISK_STATS = [
+  { key: "sampleStdev", name: "Standard Deviation (Sample)" },
+  { key: "populationStdev", name: "Standard Deviation (Population)" },
+  { key: "downsideDeviation", name: "Downside Deviation (below risk-free)" },
+  { key: "maxDrawdown", name: "Maximum Drawdown" },
+  { key: "sharpe", name: "Sharpe Ratio", isRatio: true },
+  { key: "sortino", name: "Sortino Ratio", isRatio: true },
+  { key: "calmar", name: "Calmar Ratio", isRatio: true }
+];
+
+export function standardDeviation(values, { sample = true } = {}) {
+  const n = values.length;
+  if (n < (sample ? 2 : 1)) return NaN;
+  const mean = values.reduce((acc, v) => acc + v, 0) / n;
+  const squares = values.reduce((acc, v) => acc + (v - mean) ** 2, 0);
+  return Math.sqrt(squares / (sample ? n - 1 : n));
+}
+
+// Root mean square of the shortfalls below the target, over every period
+export function downsideDeviation(values, target = 0) {
+  if (values.length === 0) return NaN;
+  const squares = values.reduce((acc, v) => acc + Math.min(v - target, 0) ** 2, 0);
+  return Math.sqrt(squares / values.length);
+}
+
+// Decline of each balance from the highest balance so far (0 at a new peak)
+export function drawdownSeries(values) {
+  let peak = -Infinity;
+  return values.map(value => {
+    peak = Math.max(peak, value);
+    return peak > 0 ? value / peak - 1 : 0;
+  });
+}
+
+// Takes a runScenario result plus the price returns; the ratios use the TWR sub-period returns.
+// Drawdowns run over the balances at t = 0..n: the opening balance, then every endValue.
+export function riskStats({ returns, startValues, subPeriodReturns, endValues, twr }, riskFreeRate = 0) {
+  const n = subPeriodReturns.length;
+  const meanExcess = subPeriodReturns.reduce((acc, r) => acc + r, 0) / n - riskFreeRate;
+  const sampleStdev = standardDeviation(subPeriodReturns);
+  const downside = downsideDeviation(subPeriodReturns, riskFreeRate);
+  const drawdowns = drawdownSeries([startValues[0], ...endValues]);
+  const maxDrawdown = Math.min(0, ...drawdowns);
+
+  return {
+    sampleStdev,
+    populationStdev: standardDeviation(subPeriodReturns, { sample: false }),
+    downsideDeviation: downside,
+    maxDrawdown,
+    sharpe: sampleStdev > 0 ? meanExcess / sampleStdev : NaN,
+    sortino: downside > 0 ? meanExcess / downside : NaN,
+    calmar: maxDrawdown < 0 ? twr / -maxDrawdown : NaN,
+    price: {
+      sampleStdev: standardDeviation(returns),
+      populationStdev: standardDeviation(returns, { sample: false }),
+      downsideDeviation: downsideDeviation(returns, riskFreeRate)
+    },
+    drawdowns
+  };
+}
@@ -0,0 +1,80 @@
+// Sensitivity of the IRR and TWR to the inputs: one-at-a-time shifts for a tornado chart and a
+// two-way data table, every point run through runScenario like the app's own results.
+//
+// Returns move by a number of percentage points and amounts by a number of input units; a shifted
+// value is clamped to the input's allowed range (inputRules), so every scenario run is valid.
+
+import { DEFAULT_UNIT_SCALE, INPUT_ROWS, inputRules, runScenario } from "./index.js";
+
+export const SENSITIVITY_METRICS = {
+  irr: "Money-Weighted Return (IRR)",
+  twr: "Time-Weighted Return"
+};
+
+// Cells on each side of the current value in the data table
+export const DATA_TABLE_STEPS = 3;
+
+function clampTo(scenario, row, value) {
+  const { min, max } = inputRules(scenario.unitScale ?? DEFAULT_UNIT_SCALE)[row];
+  return Math.min(max, Math.max(min, value));
+}
+
+// The scenario with the given { row, period, value } cells replaced
+function withCells(scenario, cells) {
+  const next = { ...scenario };
+  cells.forEach(({ row, period, value }) => {
+    next[row] = next[row].map((v, i) => (i === period ? value : v));
+  });
+  return next;
+}
+
+function metricsOf(scenario) {
+  const { irr, twr } = runScenario(scenario, { irrAnalysis: false }).metrics;
+  return { irr, twr };
+}
+
+// shifts: { returns, amounts } — the ± move for return cells (decimal) and amount cells (input units).
+// Returns { base: { irr, twr }, items: [{ row, period, low, high }] } with low and high as
+// { value, irr, twr }, one item per cell whose value can move at all within its allowed range.
+export function tornado(scenario, shifts) {
+  const items = [];
+  INPUT_ROWS.forEach(row => {
+    const shift = row === "returns" ? shifts.returns : shifts.amounts;
+    scenario[row].forEach((value, period) => {
+      const low = clampTo(scenario, row, value - shift);
+      const high = clampTo(scenario, row, value + shift);
+      if (low === high) return;
+      items.push({
+        row,
+        period,
+        low: { value: low, ...metricsOf(withCells(scenario, [{ row, period, value: low }])) },
+        high: { value: high, ...metricsOf(withCells(scenario, [{ row, period, value: high }])) }
+      });
+    });
+  });
+  return { base: metricsOf(scenario), items };
+}
+
+// Values for one axis of the data table: the current value and DATA_TABLE_STEPS steps either side,
+// clamped to the allowed range with duplicates dropped
+export function axisValues(scenario, { row, period }, step) {
+  const current = scenario[row][period];
+  const values = [];
+  for (let k = -DATA_TABLE_STEPS; k <= DATA_TABLE_STEPS; k++) {
+    const value = clampTo(scenario, row, current + k * step);
+    if (!values.includes(value)) values.push(value);
+  }
+  return values;
+}
+
+// Two-way data table: metric for every pair of values of two cells, as table[i][j] for
+// rowAxis.values[i] and columnAxis.values[j]. Axes are { row, period, values }; when both name
+// the same cell the column value wins.
+export function dataTable(scenario, rowAxis, columnAxis, metric = "irr") {
+  return rowAxis.values.map(rowValue => columnAxis.values.map(columnValue =>
+    metricsOf(withCells(scenario, [
+      { row: rowAxis.row, period: rowAxis.period, value: rowValue },
+      { row: columnAxis.row, period: columnAxis.period, value: columnValue }
+    ]))[metric]
+  ));
+}
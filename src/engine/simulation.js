@@ -0,0 +1,158 @@
+// Monte Carlo simulation of per-period returns, run through the same roll-forward as runScenario.
+
+import { INPUT_RULES, runScenario } from "./index.js";
+
+export const DISTRIBUTIONS = {
+  normal: "Normal",
+  lognormal: "Lognormal",
+  bootstrap: "Bootstrap (historical returns)"
+};
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// mulberry32: small, fast and good enough for simulation; the same seed always gives the same paths
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws via Box-Muller
+function createNormal(rng) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const u = 1 - rng(); // (0, 1], keeps log finite
+    const v = rng();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+// Returns a function that draws one period return. mean and stdev describe simple (arithmetic)
+// returns for both normal and lognormal; the lognormal is parameterised to match them exactly.
+export function createReturnSampler({ distribution, mean = 0, stdev = 0, history = [] }, rng) {
+  const normal = createNormal(rng);
+
+  if (distribution === "lognormal") {
+    const sigma2 = Math.log(1 + (stdev * stdev) / ((1 + mean) * (1 + mean)));
+    const mu = Math.log(1 + mean) - sigma2 / 2;
+    return () => Math.exp(mu + Math.sqrt(sigma2) * normal()) - 1;
+  }
+  if (distribution === "bootstrap") {
+    return () => history[Math.floor(rng() * history.length)];
+  }
+  return () => mean + stdev * normal();
+}
+
+export function validateSimulationConfig(config) {
+  const errors = [];
+  const { distribution, mean, stdev, history = [], paths } = config;
+
+  if (!DISTRIBUTIONS[distribution]) errors.push("Choose a return distribution");
+  if (distribution !== "bootstrap") {
+    if (!(mean > -1)) errors.push("Mean return must be greater than -100%");
+    if (!(stdev >= 0)) errors.push("Standard deviation must not be negative");
+  } else if (history.length < 2 || history.some(r => isNaN(r) || r < -1)) {
+    errors.push("Bootstrap needs at least two historical returns, each -1 or more");
+  }
+  if (!(Number.isInteger(paths) && paths >= 1 && paths <= 100000)) {
+    errors.push("Number of paths must be a whole number between 1 and 100,000");
+  }
+  return errors;
+}
+
+// Nearest-rank percentile of an ascending array
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export function histogram(values, binCount = 30) {
+  const finite = values.filter(v => isFinite(v));
+  if (finite.length === 0) return [];
+
+  // reduce rather than spreading up to 100,000 values as arguments, which can overflow the stack
+  const min = finite.reduce((acc, v) => Math.min(acc, v), Infinity);
+  const max = finite.reduce((acc, v) => Math.max(acc, v), -Infinity);
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  finite.forEach(v => {
+    bins[Math.min(binCount - 1, Math.floor((v - min) / width))].count++;
+  });
+  return bins;
+}
+
+function percentileSummary(values) {
+  const sorted = values.filter(v => isFinite(v)).sort((a, b) => a - b);
+  const summary = { count: sorted.length };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = percentile(sorted, p);
+  });
+  return summary;
+}
+
+// Runs `paths` scenarios whose returns are drawn from the configured distribution. Draws are
+// clamped to the returns bounds in INPUT_RULES so every path is a scenario the app would accept.
+// onProgress(pathsDone) is called every 250 paths.
+export function runSimulation(scenario, config, onProgress = () => {}) {
+  const rng = createRng(config.seed ?? 1);
+  const drawReturn = createReturnSampler(config, rng);
+  const { min, max } = INPUT_RULES.returns;
+  const periodCount = scenario.investment.length;
+
+  const endValues = [];
+  const irrs = [];
+  const twrs = [];
+  const valuePaths = Array.from({ length: periodCount }, () => []);
+  const twrIndexPaths = Array.from({ length: periodCount }, () => []);
+
+  for (let path = 0; path < config.paths; path++) {
+    const returns = Array.from({ length: periodCount }, () => Math.min(max, Math.max(min, drawReturn())));
+    // The draws replace the account's returns only, so the holdings are left out of every path
+    const result = runScenario({ ...scenario, returns, portfolio: null }, { irrAnalysis: false });
+
+    endValues.push(result.endValues[periodCount - 1]);
+    irrs.push(result.metrics.irr);
+    twrs.push(result.metrics.twr);
+
+    // Growth of 1 under the chain-linked net sub-period returns that metrics.twr is built from,
+    // for the TWR fan chart
+    let index = 1;
+    result.subPeriodReturns.forEach((periodReturn, i) => {
+      valuePaths[i].push(result.endValues[i]);
+      index *= 1 + periodReturn;
+      twrIndexPaths[i].push(index);
+    });
+
+    if ((path + 1) % 250 === 0) onProgress(path + 1);
+  }
+
+  return {
+    paths: config.paths,
+    failedIrr: irrs.filter(v => isNaN(v)).length,
+    summary: {
+      endValue: percentileSummary(endValues),
+      irr: percentileSummary(irrs),
+      twr: percentileSummary(twrs)
+    },
+    histograms: {
+      endValue: histogram(endValues),
+      irr: histogram(irrs),
+      twr: histogram(twrs)
+    },
+    valueFan: valuePaths.map(percentileSummary),
+    twrFan: twrIndexPaths.map(percentileSummary)
+  };
+}
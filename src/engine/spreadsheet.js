@@ -0,0 +1,316 @@
+// SpreadsheetML 2003 workbook export: an Inputs sheet and a Calculations sheet that rebuilds the
+// roll-forward with live formulas, so the workbook recalculates on its own in Excel or LibreOffice.
+// Formulas use R1C1 references, as SpreadsheetML requires. Amounts stay in input units.
+//
+// Management and performance fees and capital gains tax depend on state carried between periods
+// (high-water mark, cost basis, losses carried forward), so they are written as values from the
+// engine, as are the growth factors in dated mode, where the flow dates split each year at
+// arbitrary points; every other cell that the engine computes is a formula.
+
+import { DEFAULT_UNIT_SCALE, INPUT_ROWS, TIMING_POINTS, resolveTiming, yearFraction } from "./index.js";
+
+export const SPREADSHEET_MIME_TYPE = "application/vnd.ms-excel";
+
+// Labels for the per-period input rows, which fill rows 2-6 of the Inputs sheet in INPUT_ROWS order
+const INPUT_LABELS = {
+  investment: "Investment",
+  returns: "Return (decimal)",
+  divReinvested: "Dividend reinvested",
+  divNotReinvested: "Dividend not reinvested",
+  withdrawals: "Withdrawal"
+};
+
+const STYLES = `<Styles>
+  <Style ss:ID="header"><Font ss:Bold="1"/></Style>
+  <Style ss:ID="amount"><NumberFormat ss:Format="#,##0.00"/></Style>
+  <Style ss:ID="percent"><NumberFormat ss:Format="0.00%"/></Style>
+  <Style ss:ID="factor"><NumberFormat ss:Format="0.000000"/></Style>
+  <Style ss:ID="date"><NumberFormat ss:Format="yyyy-mm-dd"/></Style>
+ </Styles>`;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A cell is null (empty), a string, a number, or { value | formula | date, style }
+function cellXml(cell) {
+  if (cell === null || cell === undefined) return "<Cell/>";
+  if (typeof cell !== "object") cell = { value: cell };
+  const style = cell.style ? ` ss:StyleID="${cell.style}"` : "";
+  if (cell.formula) return `<Cell${style} ss:Formula="${escapeXml(cell.formula)}"/>`;
+  if (cell.date) return `<Cell${style}><Data ss:Type="DateTime">${cell.date}T00:00:00.000</Data></Cell>`;
+  if (typeof cell.value === "number") {
+    // Excel has no NaN; leave undefined results empty
+    return isFinite(cell.value) ? `<Cell${style}><Data ss:Type="Number">${cell.value}</Data></Cell>` : `<Cell${style}/>`;
+  }
+  return `<Cell${style}><Data ss:Type="String">${escapeXml(cell.value)}</Data></Cell>`;
+}
+
+function worksheetXml(name, rows) {
+  const body = rows
+    .map(row => `    <Row>${row.map(cellXml).join("")}</Row>`)
+    .join("\n");
+  return ` <Worksheet ss:Name="${escapeXml(name)}">
+  <Table>
+   <Column ss:Width="260"/>
+${body}
+  </Table>
+ </Worksheet>`;
+}
+
+// Inputs sheet: rows 2-6 are the per-period inputs in columns B onward; settings follow.
+// Returns the rows and the row number of each setting the Calculations sheet refers to.
+function inputsSheet(scenario) {
+  const { investment, fees, taxes, dates } = scenario;
+  const rows = [
+    [{ value: "Input", style: "header" }, ...investment.map((_, i) => ({ value: `Year ${i + 1}`, style: "header" }))],
+    ...INPUT_ROWS.map(row => [INPUT_LABELS[row], ...scenario[row]])
+  ];
+  const settingRows = {};
+  const addSetting = (key, label, value, style) => {
+    rows.push([label, style ? { value, style } : value]);
+    settingRows[key] = rows.length;
+  };
+
+  const timing = resolveTiming(scenario);
+  rows.push([], [{ value: "Flow timing (built into the Calculations formulas)", style: "header" }]);
+  [["New investment", "investment"], ["Withdrawal", "withdrawal"], ["Dividend not reinvested", "dividend"]]
+    .forEach(([label, flow]) => rows.push([label, TIMING_POINTS[timing[flow]].name]));
+  rows.push(["Paid-out dividends count toward the TWR", timing.dividendsInTwr ? "Yes" : "No"]);
+
+  if (dates) {
+    rows.push([], [{ value: "Dates", style: "header" }]);
+    rows.push(["Start date", { date: dates.start, style: "date" }]);
+    settingRows.startDate = rows.length;
+    [["Period end date", dates.periodEnds], ["Investment date", dates.investment], ["Withdrawal date", dates.withdrawal]]
+      .forEach(([label, values]) => rows.push([label, ...values.map(date => ({ date, style: "date" }))]));
+    settingRows.periodEnds = rows.length - 2;
+  }
+  if (fees) {
+    rows.push([], [{ value: "Fee settings (fees are calculated by the app)", style: "header" }]);
+    addSetting("managementRate", "Management fee rate", fees.managementRate, "percent");
+    addSetting("managementBasis", "Management fee charged on", fees.managementBasis === "start" ? "Start-of-year balance" : "Average balance");
+    addSetting("performanceRate", "Performance fee rate", fees.performanceRate, "percent");
+    addSetting("hurdleRate", "Hurdle rate", fees.hurdleRate, "percent");
+    addSetting("highWaterMark", "High-water mark", fees.highWaterMark ? "Yes" : "No");
+    addSetting("transactionFee", "Transaction fee per flow", fees.transactionFee);
+  }
+  if (taxes) {
+    rows.push([], [{ value: "Tax settings", style: "header" }]);
+    addSetting("dividendRate", "Dividend tax rate", taxes.dividendRate, "percent");
+    addSetting("capitalGainsRate", "Capital gains tax rate", taxes.capitalGainsRate, "percent");
+    addSetting("gainsBasis", "Capital gains taxed", taxes.gainsBasis === "realized" ? "When realized" : "Marked to market yearly");
+  }
+  rows.push([], [`Amounts are in input units (x ${(scenario.unitScale ?? DEFAULT_UNIT_SCALE).toLocaleString("en-US")}).`]);
+  return { rows, settingRows };
+}
+
+// Calculations sheet: column B is Year 0 and period i is column i + 3, so a per-period formula in
+// column C refers to the same period on the Inputs sheet one column to the left (C[-1]).
+// The flow timing is fixed when the workbook is written: each formula includes only the terms the
+// scenario's timing needs, following the engine's roll-forward and period linking.
+function calculationsSheet(scenario, result, settingRows) {
+  const n = result.periodCount;
+  const scale = scenario.unitScale ?? DEFAULT_UNIT_SCALE;
+  const lastColumn = n + 2;
+  const timing = resolveTiming(scenario);
+  const at = Object.fromEntries(["investment", "withdrawal", "dividend"].map(flow => [flow, TIMING_POINTS[timing[flow]].fraction]));
+  const { dates } = scenario;
+  const when = flow => (dates && flow !== "dividend" ? "dated" : TIMING_POINTS[timing[flow]].name.toLowerCase());
+  // Where paid-out dividends count as TWR income (null when they do not), and whether a year is split at mid-year
+  const paidIncomeAt = timing.dividendsInTwr ? at.dividend : null;
+  const midYear = !dates && [at.investment, at.withdrawal, paidIncomeAt].includes(0.5);
+  // Point in year i of its investment and withdrawal: their dates' share of the year in dated mode,
+  // like the engine's roll-forward
+  const dateFraction = (date, i) => {
+    const start = i === 0 ? dates.start : dates.periodEnds[i - 1];
+    return yearFraction(start, date) / yearFraction(start, dates.periodEnds[i]);
+  };
+  const flowPoints = i => (dates
+    ? { investment: dateFraction(dates.investment[i], i), withdrawal: dateFraction(dates.withdrawal[i], i) }
+    : at);
+
+  const rows = [[
+    { value: "Item", style: "header" },
+    { value: "Year 0", style: "header" },
+    ...result.endValues.map((_, i) => ({ value: `Year ${i + 1}`, style: "header" }))
+  ]];
+  const rowOf = {};
+  // The end balance row is referenced before it is written (opening balance = previous end balance),
+  // so row numbers are assigned up front
+  const layout = [
+    "investment", "open", "start", "returns", "gain", "divReinvested", "divNotReinvested", "withdrawals",
+    ...(result.fees ? ["management", "performance", "transaction", "feeTotal"] : []),
+    ...(result.taxes ? ["reinvestedDividendTax", "paidDividendTax", "capitalGainsTax"] : []),
+    "dividendPaid", "end", ...(midYear ? ["midBefore", "midAfter"] : []), "income", "link", "priceGrowth"
+  ];
+  layout.forEach((key, k) => { rowOf[key] = k + 2; });
+
+  const R = key => `R${rowOf[key]}C`;
+  const perPeriod = (label, style, cellFor) =>
+    rows.push([label, null, ...result.endValues.map((_, i) => ({ ...cellFor(i), style }))]);
+  const formula = text => () => ({ formula: text });
+  const value = values => i => ({ value: values[i] / scale });
+  // Terms for the investment and withdrawal made at a point in year i
+  const flowsAt = (fraction, i) => [["investment", flowPoints(i).investment], ["withdrawals", flowPoints(i).withdrawal]]
+    .filter(([, point]) => point === fraction)
+    .map(([key]) => `+${R(key)}`)
+    .join("");
+  const price = `(1+${R("returns")})`;
+
+  perPeriod(`New investment (${when("investment")})`, "amount", formula("=Inputs!R2C[-1]"));
+  perPeriod("Opening balance", "amount", formula(`=${R("end")}[-1]`));
+  perPeriod("Start balance (after flows at the beginning)", "amount", i => ({ formula: `=${R("open")}${flowsAt(0, i)}` }));
+  perPeriod("Return excluding dividends", "percent", formula("=Inputs!R3C[-1]"));
+  // A flow earns the return from its point in the year to the end
+  const flowGains = i => [["investment", flowPoints(i).investment], ["withdrawals", flowPoints(i).withdrawal]]
+    .filter(([, point]) => point < 1)
+    .map(([key, point]) => (point === 0 ? `+${R(key)}*${R("returns")}` : `+${R(key)}*(${price}^${1 - point}-1)`))
+    .join("");
+  perPeriod("Investment gain (loss)", "amount", i => ({ formula: `=${R("open")}*${R("returns")}${flowGains(i)}` }));
+  perPeriod("Dividend reinvested (end)", "amount", formula("=Inputs!R4C[-1]"));
+  perPeriod(`Dividend not reinvested (${when("dividend")})`, "amount", formula("=Inputs!R5C[-1]"));
+  perPeriod(`Withdrawal (${when("withdrawal")})`, "amount", formula("=Inputs!R6C[-1]"));
+
+  const deductions = [];
+  if (result.fees) {
+    perPeriod("Management fee (from the app)", "amount", value(result.fees.management));
+    perPeriod("Performance fee (from the app)", "amount", value(result.fees.performance));
+    perPeriod("Transaction fees (from the app)", "amount", value(result.fees.transaction));
+    perPeriod("Total fees", "amount", formula(`=SUM(${R("management")}:${R("transaction")})`));
+    deductions.push(R("feeTotal"));
+  }
+  if (result.taxes) {
+    const rate = `Inputs!R${settingRows.dividendRate}C2`;
+    perPeriod("Tax on reinvested dividends", "amount", formula(`=${rate}*${R("divReinvested")}`));
+    perPeriod("Tax on paid-out dividends", "amount", formula(`=${rate}*${R("divNotReinvested")}`));
+    perPeriod("Capital gains tax (from the app)", "amount", value(result.taxes.capitalGains));
+    deductions.push(R("reinvestedDividendTax"), R("capitalGainsTax"));
+  }
+  const minus = terms => terms.map(term => `-${term}`).join("");
+
+  perPeriod(`Dividend paid to investor (${when("dividend")})`, "amount",
+    formula(`=${R("divNotReinvested")}${result.taxes ? `-${R("paidDividendTax")}` : ""}`));
+  perPeriod("End balance", "amount",
+    formula(`=${R("open")}+${R("investment")}+${R("withdrawals")}+${R("gain")}+${R("divReinvested")}${minus(deductions)}`));
+  if (midYear) {
+    perPeriod("Balance at mid-year, before flows", "amount", formula(`=${R("start")}*${price}^0.5`));
+    perPeriod("Balance at mid-year, after flows", "amount", formula(`=${R("midBefore")}${flowsAt(0.5, 0)}`));
+  }
+  perPeriod("Income at year end, net of fees and taxes", "amount",
+    formula(`=${R("divReinvested")}${minus(deductions)}${paidIncomeAt === 1 ? `+${R("dividendPaid")}` : ""}`));
+
+  // Link the year at its flows: a stretch starting with nothing invested links at 1
+  const links = [];
+  if (paidIncomeAt === 0) links.push(`IF(${R("open")}>0,(${R("open")}+${R("dividendPaid")})/${R("open")},1)`);
+  if (midYear) {
+    const midIncome = paidIncomeAt === 0.5 ? `+${R("dividendPaid")}` : "";
+    links.push(
+      `IF(${R("start")}>0,(${R("midBefore")}${midIncome})/${R("start")},1)`,
+      `IF(${R("midAfter")}>0,(${R("midAfter")}*${price}^0.5+${R("income")})/${R("midAfter")},1)`
+    );
+  } else {
+    links.push(`IF(${R("start")}>0,(${R("start")}+${R("gain")}+${R("income")})/${R("start")},1)`);
+  }
+  if (dates) {
+    perPeriod("Growth factor (1 + total return, from the app)", "factor", i => ({ value: 1 + result.subPeriodReturns[i] }));
+  } else {
+    perPeriod("Growth factor (1 + total return)", "factor", formula(`=${links.join("*")}`));
+  }
+  perPeriod("Growth factor, price only", "factor", formula(`=1+${R("returns")}`));
+
+  // Investor cash flows by half-year: investments paid in, withdrawals and paid-out dividends received,
+  // and the final balance at the end
+  const terms = Array.from({ length: 2 * n + 1 }, () => []);
+  result.endValues.forEach((_, i) => {
+    const column = i + 3;
+    terms[2 * i + 2 * at.investment].push(`-R${rowOf.investment}C${column}`);
+    terms[2 * i + 2 * at.withdrawal].push(`-R${rowOf.withdrawals}C${column}`);
+    terms[2 * i + 2 * at.dividend].push(`+R${rowOf.dividendPaid}C${column}`);
+  });
+  terms[2 * n].push(`+R${rowOf.end}C${lastColumn}`);
+  const flowCell = parts => ({ formula: `=${parts.length > 0 ? parts.join("").replace(/^\+/, "") : 0}`, style: "amount" });
+
+  const metrics = [];
+  if (at.investment !== 0.5 && at.withdrawal !== 0.5 && at.dividend !== 0.5) {
+    const cashFlowRow = rows.length + 1;
+    rows.push(["Net cash flow", ...terms.filter((_, k) => k % 2 === 0).map(flowCell)]);
+    metrics.push(["Money-Weighted Return (IRR)", `=IRR(R${cashFlowRow}C2:R${cashFlowRow}C${lastColumn})`, result.metrics.irr]);
+  } else {
+    // Mid-year flows need a half-year grid; the half-year IRR is compounded to an annual rate
+    rows.push([], [
+      { value: "Half-year", style: "header" },
+      ...terms.map((_, k) => ({ value: k / 2, style: "header" }))
+    ]);
+    const cashFlowRow = rows.length + 1;
+    rows.push(["Net cash flow", ...terms.map(flowCell)]);
+    metrics.push([
+      "Money-Weighted Return (IRR)",
+      `=(1+IRR(R${cashFlowRow}C2:R${cashFlowRow}C${2 * n + 2}))^2-1`,
+      result.metrics.irr
+    ]);
+  }
+
+  const range = key => `R${rowOf[key]}C3:R${rowOf[key]}C${lastColumn}`;
+  // In dated mode the TWR is annualized over the actual/365 years from the start date to the last period end
+  const twrExponent = scenario.dates
+    ? `365/(Inputs!R${settingRows.periodEnds}C${n + 1}-Inputs!R${settingRows.startDate}C2)`
+    : `1/${n}`;
+  metrics.push(
+    ["Time-Weighted Return", `=PRODUCT(${range("link")})^(${twrExponent})-1`, result.metrics.twr],
+    ["Geometric Mean (Price Only)", `=PRODUCT(${range("priceGrowth")})^(1/${n})-1`, result.metrics.annualGeometric],
+    ["Arithmetic Mean (Price Only)", `=AVERAGE(${range("returns")})`, result.metrics.annualArithmetic]
+  );
+
+  // XIRR flows on their dates: investment, withdrawal and paid-out dividend for each period, then the final balance
+  if (scenario.dates) {
+    const { dates } = scenario;
+    const first = rows.length + 3;
+    rows.push([], [
+      { value: "Dated cash flow", style: "header" },
+      { value: "Date", style: "header" },
+      { value: "Amount", style: "header" }
+    ]);
+    result.endValues.forEach((_, i) => {
+      const column = i + 3;
+      rows.push(
+        [`Year ${i + 1} investment`, { date: dates.investment[i], style: "date" }, { formula: `=-R${rowOf.investment}C${column}`, style: "amount" }],
+        [`Year ${i + 1} withdrawal`, { date: dates.withdrawal[i], style: "date" }, { formula: `=-R${rowOf.withdrawals}C${column}`, style: "amount" }],
+        [`Year ${i + 1} dividend paid`, { date: dates.periodEnds[i], style: "date" }, { formula: `=R${rowOf.dividendPaid}C${column}`, style: "amount" }]
+      );
+    });
+    rows.push(["Final balance", { date: dates.periodEnds[n - 1], style: "date" }, { formula: `=R${rowOf.end}C${lastColumn}`, style: "amount" }]);
+    const last = rows.length;
+    metrics.splice(1, 0, ["Money-Weighted Return (XIRR)", `=XIRR(R${first}C3:R${last}C3,R${first}C2:R${last}C2)`, result.metrics.xirr]);
+  }
+
+  rows.push([], [
+    { value: "Metric", style: "header" },
+    { value: "Workbook", style: "header" },
+    { value: "App", style: "header" }
+  ]);
+  metrics.forEach(([label, text, appValue]) => {
+    rows.push([label, { formula: text, style: "percent" }, { value: appValue, style: "percent" }]);
+  });
+  return rows;
+}
+
+// Workbook text for a scenario and its runScenario result; save it with a .xml extension
+export function resultToSpreadsheet(scenario, result) {
+  const inputs = inputsSheet(scenario);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:o="urn:schemas-microsoft-com:office:office"
+ xmlns:x="urn:schemas-microsoft-com:office:excel"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+ ${STYLES}
+${worksheetXml("Inputs", inputs.rows)}
+${worksheetXml("Calculations", calculationsSheet(scenario, result, inputs.settingRows))}
+</Workbook>
+`;
+}
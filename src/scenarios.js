@@ -0,0 +1,152 @@
+// Scenario persistence for the browser: a versioned payload shared by the localStorage
+// library and the shareable URL hash. Bump SCHEMA_VERSION and add a migration whenever the
+// scenario shape changes, so saved scenarios and old links keep loading.
+
+import { validateScenario } from "./engine/index.js";
+
+export const SCHEMA_VERSION = 1;
+
+const STORAGE_KEY = "simulated-returns-tool/scenarios";
+const URL_HASH_PREFIX = "#s=";
+
+// Default values match SME example (amounts in USD millions)
+export const DEFAULT_SCENARIO = {
+  unitScale: 1000000,
+  currencyCode: "USD",
+  investment: [100, 950, 0],
+  returns: [-0.5, 0.35, 0.27],
+  divReinvested: [0, 10, 0],
+  divNotReinvested: [5, 0, 0],
+  withdrawals: [0, -350, 0],
+  benchmark: null,
+  inflation: null,
+  currency: null,
+  dates: null,
+  fees: null,
+  taxes: null,
+  timing: null,
+  portfolio: null
+};
+
+export const DEFAULT_SCENARIO_NAME = "SME example";
+
+// migrations[n] upgrades a version-n payload to version n + 1
+const migrations = {};
+
+export function toPayload(name, scenario) {
+  return { v: SCHEMA_VERSION, name, scenario };
+}
+
+// Returns { name, scenario } or null when the payload is unreadable, from a newer schema or not a
+// valid scenario (a crafted or stale link would otherwise crash the app when it renders)
+export function fromPayload(payload) {
+  if (!payload || typeof payload !== "object") return null;
+
+  let current = { v: 1, ...payload };
+  if (current.v > SCHEMA_VERSION) return null;
+  while (current.v < SCHEMA_VERSION) {
+    const migrate = migrations[current.v];
+    if (!migrate) return null;
+    current = { ...migrate(current), v: current.v + 1 };
+  }
+
+  if (!current.scenario || typeof current.scenario !== "object" || Array.isArray(current.scenario)) return null;
+  const scenario = { ...DEFAULT_SCENARIO, ...current.scenario };
+  if (validateScenario(scenario).length > 0) return null;
+  return {
+    name: typeof current.name === "string" && current.name ? current.name : DEFAULT_SCENARIO_NAME,
+    scenario
+  };
+}
+
+// base64url of UTF-8 JSON, so the hash survives copy/paste and chat clients
+function encodeBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+export function scenarioToHash(name, scenario) {
+  return URL_HASH_PREFIX + encodeBase64Url(JSON.stringify(toPayload(name, scenario)));
+}
+
+// Whether the hash carries a shared scenario, readable or not
+export function hasScenarioHash(hash) {
+  return Boolean(hash) && hash.startsWith(URL_HASH_PREFIX);
+}
+
+export function scenarioFromHash(hash) {
+  if (!hash || !hash.startsWith(URL_HASH_PREFIX)) return null;
+  try {
+    return fromPayload(JSON.parse(decodeBase64Url(hash.slice(URL_HASH_PREFIX.length))));
+  } catch {
+    return null;
+  }
+}
+
+export function shareUrl(name, scenario) {
+  const { origin, pathname, search } = window.location;
+  return origin + pathname + search + scenarioToHash(name, scenario);
+}
+
+// Library entries are { id, name, savedAt, payload }
+function readLibrary() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeLibrary(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage full or disabled (private browsing); the library simply does not persist
+  }
+  return entries;
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function listScenarios() {
+  return readLibrary();
+}
+
+export function saveScenario(name, scenario) {
+  const entry = { id: newId(), name, savedAt: new Date().toISOString(), payload: toPayload(name, scenario) };
+  return writeLibrary([...readLibrary(), entry]);
+}
+
+export function renameScenario(id, name) {
+  return writeLibrary(readLibrary().map(entry =>
+    entry.id === id ? { ...entry, name, payload: { ...entry.payload, name } } : entry
+  ));
+}
+
+export function duplicateScenario(id) {
+  const entries = readLibrary();
+  const original = entries.find(entry => entry.id === id);
+  if (!original) return entries;
+
+  const name = `${original.name} (copy)`;
+  const copy = { ...original, id: newId(), name, savedAt: new Date().toISOString(), payload: { ...original.payload, name } };
+  return writeLibrary([...entries, copy]);
+}
+
+export function deleteScenario(id) {
+  return writeLibrary(readLibrary().filter(entry => entry.id !== id));
+}
+
+export function loadSavedScenario(id) {
+  const entry = readLibrary().find(e => e.id === id);
+  return entry ? fromPayload(entry.payload) : null;
+}
@@ -0,0 +1,13 @@
+// Runs Monte Carlo simulations off the main thread so the inputs stay responsive.
+
+import { runSimulation } from "../engine/simulation.js";
+
+self.onmessage = ({ data }) => {
+  const { scenario, config } = data;
+  try {
+    const result = runSimulation(scenario, config, done => self.postMessage({ type: "progress", done }));
+    self.postMessage({ type: "result", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,21 @@
+// Command-line front end; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../bin/returns.js", import.meta.url));
+const example = fileURLToPath(new URL("../examples/sme.json", import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: "utf8" });
+
+test("the CLI prints the metrics table for a JSON scenario", () => {
+  const { status, stdout } = run(example);
+  assert.equal(status, 0);
+  assert.match(stdout, /Money-Weighted Return \(IRR\)\s+26\.93%/);
+});
+
+test("the CLI prints the engine output as JSON with --json", () => {
+  const { status, stdout } = run(example, "--json");
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout).cashFlows, [-100e6, -945e6, 350e6, 1282.7e6]);
+});
@@ -0,0 +1,40 @@
+// CSV import and export of the inputs; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { importScenarioCsv, scenarioToCsv } from "../src/engine/csv.js";
+
+const SME = {
+  unitScale: 1000000,
+  currencyCode: "EUR",
+  investment: [100, 950, 0],
+  returns: [-0.5, 0.35, 0.27],
+  divReinvested: [0, 10, 0],
+  divNotReinvested: [5, 0, 0],
+  withdrawals: [0, -350, 0]
+};
+
+test("an exported file keeps its unit and currency when imported under another unit", () => {
+  const { scenario, errors } = importScenarioCsv(scenarioToCsv(SME), { unitScale: 1000 });
+  assert.deepEqual(errors, []);
+  assert.equal(scenario.unitScale, 1000000);
+  assert.equal(scenario.currencyCode, "EUR");
+  assert.deepEqual(scenario.investment, SME.investment);
+});
+
+test("a unit_scale that is not one of the amount units is an error", () => {
+  const text = "investment,return,div_reinvested,div_not_reinvested,withdrawal,unit_scale\r\n100,0.1,0,0,0,7\r\n";
+  const { scenario, errors } = importScenarioCsv(text);
+  assert.equal(scenario, null);
+  assert.match(errors[0], /unit_scale/);
+});
+
+test("a dated file without start_date starts at the given start date", () => {
+  const text = [
+    "investment,return,div_reinvested,div_not_reinvested,withdrawal,end_date,investment_date,withdrawal_date",
+    "100,0.1,0,0,0,2024-01-01,2023-01-01,2024-01-01"
+  ].join("\r\n");
+  assert.equal(importScenarioCsv(text).scenario.dates, undefined);
+  const { scenario, errors } = importScenarioCsv(text, { startDate: "2023-01-01" });
+  assert.deepEqual(errors, []);
+  assert.equal(scenario.dates.start, "2023-01-01");
+});
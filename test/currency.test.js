@@ -0,0 +1,34 @@
+// Local and base currency returns; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario } from "../src/engine/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+// 10% a year in the local currency while the local currency gains 10% a year against the base
+const scenario = {
+  investment: [100, 0],
+  returns: [0.1, 0.1],
+  divReinvested: [0, 0],
+  divNotReinvested: [0, 0],
+  withdrawals: [0, 0],
+  unitScale: 1,
+  currency: { local: "EUR", base: "USD", startRate: 1, rates: [1.1, 1.21] }
+};
+
+test("the base-currency TWR splits into local, currency and cross terms", () => {
+  const { twr } = runScenario(scenario).currency;
+  close(twr.local, 0.1);
+  close(twr.currency, 0.1);
+  close(twr.cross, 0.01);
+  close(twr.base, 0.21);
+});
+
+test("base-currency balances and the base IRR use the rate on each date", () => {
+  const result = runScenario(scenario);
+  close(result.currency.endValues[0], 110 * 1.1);
+  close(result.currency.endValues[1], 121 * 1.21);
+  close(result.metrics.baseIrr, 0.21, 1e-6);
+  close(result.currency.mwr.currency, 1.21 / 1.1 - 1, 1e-6);
+});
@@ -0,0 +1,105 @@
+// Regression checks for the headless engine; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario, validateScenario } from "../src/engine/index.js";
+import { csvOmittedSettings } from "../src/engine/csv.js";
+
+const REALIZED_TAXES = { dividendRate: 0.15, capitalGainsRate: 0.2, gainsBasis: "realized" };
+
+const SME = {
+  investment: [100, 950, 0],
+  returns: [-0.5, 0.35, 0.27],
+  divReinvested: [0, 10, 0],
+  divNotReinvested: [5, 0, 0],
+  withdrawals: [0, -350, 0]
+};
+
+test("the SME example validates and runs headless", () => {
+  assert.deepEqual(validateScenario(SME), []);
+  const result = runScenario(SME);
+  assert.equal(result.periodCount, 3);
+  assert.deepEqual(result.endValues, [50e6, 1010e6, 1282.7e6]);
+  assert.deepEqual(result.cashFlows, [-100e6, -945e6, 350e6, 1282.7e6]);
+  assert.ok(Math.abs(result.metrics.irr - 0.2692780709) < 1e-6);
+});
+
+// Invest 100 and add 50 more a year later at 0% return: nothing was gained, so nothing is taxed on
+// the liquidation at the end
+test("a contribution entered as a positive withdrawal is not taxed as a gain", () => {
+  const base = {
+    investment: [100, 0],
+    returns: [0, 0],
+    divReinvested: [0, 0],
+    divNotReinvested: [0, 0],
+    withdrawals: [0, 0],
+    unitScale: 1,
+    taxes: REALIZED_TAXES
+  };
+  const asWithdrawal = runScenario({ ...base, withdrawals: [50, 0] });
+  const asInvestment = runScenario({ ...base, investment: [100, 50] });
+
+  [asWithdrawal, asInvestment].forEach(result => {
+    assert.deepEqual(result.taxes.capitalGains, [0, 0]);
+    assert.equal(result.endValues[1], 150);
+    assert.ok(Math.abs(result.metrics.irr) < 1e-9);
+    assert.ok(Math.abs(result.metrics.twr) < 1e-9);
+  });
+});
+
+test("validateScenario reports a scenario that is not an object instead of throwing", () => {
+  [null, undefined, 42, "scenario", [1, 2]].forEach(scenario => {
+    assert.deepEqual(validateScenario(scenario), ["A scenario must be an object"]);
+  });
+});
+
+// Two quarterly periods that each gain 10%: 21% over half a year, not 10% a period
+test("the TWR is annualized over the actual years in dated mode", () => {
+  const result = runScenario({
+    investment: [100, 0],
+    returns: [0.1, 0.1],
+    divReinvested: [0, 0],
+    divNotReinvested: [0, 0],
+    withdrawals: [0, 0],
+    unitScale: 1,
+    dates: {
+      start: "2023-01-01",
+      periodEnds: ["2023-04-02", "2023-07-02"],
+      investment: ["2023-01-01", "2023-04-02"],
+      withdrawal: ["2023-04-02", "2023-07-02"]
+    }
+  });
+  const years = 182 / 365;
+  assert.ok(Math.abs(result.metrics.twr - (Math.pow(1.21, 1 / years) - 1)) < 1e-9);
+  assert.ok(Math.abs(result.metrics.twr - result.metrics.xirr) < 1e-6);
+});
+
+test("csvOmittedSettings names the settings an inputs CSV export drops", () => {
+  const base = { investment: [100], returns: [0], divReinvested: [0], divNotReinvested: [0], withdrawals: [0] };
+  assert.deepEqual(csvOmittedSettings(base), []);
+  assert.deepEqual(
+    csvOmittedSettings({ ...base, taxes: REALIZED_TAXES, timing: { investment: "middle" } }),
+    ["taxes", "flow timing"]
+  );
+});
+
+// A contribution dated on the last period end is invested for no time, so it earns nothing and the
+// XIRR is the growth of the first investment alone
+test("the roll-forward places dated flows on their dates", () => {
+  const result = runScenario({
+    investment: [100, 950],
+    returns: [0.1, 0.35],
+    divReinvested: [0, 0],
+    divNotReinvested: [0, 0],
+    withdrawals: [0, 0],
+    unitScale: 1,
+    dates: {
+      start: "2022-01-01",
+      periodEnds: ["2023-01-01", "2024-01-01"],
+      investment: ["2022-01-01", "2024-01-01"],
+      withdrawal: ["2023-01-01", "2024-01-01"]
+    }
+  });
+  assert.ok(Math.abs(result.endValues[1] - (100 * 1.1 * 1.35 + 950)) < 1e-9);
+  assert.ok(Math.abs(result.metrics.xirr - result.metrics.twr) < 1e-6);
+  assert.ok(Math.abs(result.metrics.xirr - (Math.pow(1.485, 365 / 730) - 1)) < 1e-6);
+});
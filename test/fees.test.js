@@ -0,0 +1,47 @@
+// Management, performance and transaction fees; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FEES, runScenario } from "../src/engine/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+// 100 invested once, up 20%, down 10% and up 20% again
+const base = {
+  investment: [100, 0, 0],
+  returns: [0.2, -0.1, 0.2],
+  divReinvested: [0, 0, 0],
+  divNotReinvested: [0, 0, 0],
+  withdrawals: [0, 0, 0],
+  unitScale: 1
+};
+const performanceOnly = { ...DEFAULT_FEES, managementRate: 0, hurdleRate: 0, performanceRate: 0.2 };
+
+// Year 1 sets the mark at a unit value of 1.16 after its fee; Year 2 falls below it, and Year 3 only
+// pays on the rise above 1.16 (from 1.044, a threshold of 1.16 / 1.044 on the year's growth)
+test("the performance fee is charged only above the high-water mark", () => {
+  const result = runScenario({ ...base, fees: performanceOnly });
+  const { performance } = result.fees;
+  close(performance[0], 0.2 * 100 * 0.2);
+  close(performance[1], 0);
+  close(performance[2], 0.2 * 104.4 * (1.2 - 1.16 / 1.044));
+  close(result.endValues[2], 125.28 - performance[2]);
+});
+
+test("without a high-water mark the performance fee is charged on every gain over the hurdle", () => {
+  const { performance } = runScenario({ ...base, fees: { ...performanceOnly, highWaterMark: false } }).fees;
+  close(performance[2], 0.2 * 104.4 * 0.2);
+});
+
+test("the gross TWR is the return before fees and the net TWR is below it", () => {
+  const result = runScenario({ ...base, fees: performanceOnly });
+  close(result.metrics.grossTwr, Math.pow(1.2 * 0.9 * 1.2, 1 / 3) - 1);
+  assert.ok(result.metrics.twr < result.metrics.grossTwr);
+});
+
+test("management fees are charged on the chosen basis and transaction fees per flow", () => {
+  const fees = { ...DEFAULT_FEES, performanceRate: 0, managementBasis: "start", transactionFee: 0.5 };
+  const result = runScenario({ ...base, withdrawals: [0, -10, 0], fees });
+  close(result.fees.management[0], 1);
+  assert.deepEqual(result.fees.transaction, [0.5, 0.5, 0]);
+});
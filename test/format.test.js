@@ -0,0 +1,34 @@
+// Locale-aware reading of typed and pasted numbers; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { editableNumber, parseLocaleNumber } from "../src/engine/format.js";
+
+const en = { locale: "en-US" };
+const de = { locale: "de-DE" };
+
+test("numbers read with the locale's group and decimal separators", () => {
+  assert.equal(parseLocaleNumber("1,282.7", en), 1282.7);
+  assert.equal(parseLocaleNumber("1.282,7", de), 1282.7);
+  assert.equal(parseLocaleNumber("0,35", de), 0.35);
+  assert.equal(parseLocaleNumber("-.5", en), -0.5);
+  assert.equal(parseLocaleNumber("  ", en), 0);
+});
+
+test("text that is not a number in the locale reads as NaN", () => {
+  assert.ok(isNaN(parseLocaleNumber("abc", en)));
+  // In de-DE the dot groups thousands, so 0.35 is not a number rather than 35
+  assert.ok(isNaN(parseLocaleNumber("0.35", de)));
+  assert.ok(isNaN(parseLocaleNumber("12,34", en)));
+});
+
+test("a trailing % divides by 100 only on rate rows", () => {
+  assert.ok(isNaN(parseLocaleNumber("5%", en)));
+  assert.equal(parseLocaleNumber("5%", { ...en, percent: true }), 0.05);
+  assert.equal(parseLocaleNumber("35 %", { ...de, percent: true }), 0.35);
+});
+
+test("values show for editing with the locale's decimal mark", () => {
+  assert.equal(editableNumber(1282.7, "de-DE"), "1282,7");
+  assert.equal(editableNumber(-0.5, "en-US"), "-0.5");
+  assert.equal(parseLocaleNumber(editableNumber(0.27, "de-DE"), de), 0.27);
+});
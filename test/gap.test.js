@@ -0,0 +1,33 @@
+// Attribution of the IRR-TWR gap; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario } from "../src/engine/index.js";
+import { decomposeGap } from "../src/engine/gap.js";
+
+const SME = {
+  investment: [100, 950, 0],
+  returns: [-0.5, 0.35, 0.27],
+  divReinvested: [0, 10, 0],
+  divNotReinvested: [5, 0, 0],
+  withdrawals: [0, -350, 0],
+  unitScale: 1
+};
+
+const decompose = scenario => decomposeGap(scenario, runScenario(scenario));
+
+test("the residual is zero without dividends, fees or taxes", () => {
+  const { residual } = decompose({ ...SME, divReinvested: [0, 0, 0], divNotReinvested: [0, 0, 0] });
+  assert.ok(Math.abs(residual) < 1e-9);
+});
+
+// A reinvested dividend earns the same yield on whatever balance a partial history has, so it does
+// not open a gap on its own
+test("reinvested dividends leave no residual", () => {
+  const { residual } = decompose({ ...SME, divNotReinvested: [0, 0, 0] });
+  assert.ok(Math.abs(residual) < 1e-9);
+});
+
+test("the residual and the flow effects add up to the gap", () => {
+  const { gap, residual, flows } = decompose(SME);
+  assert.ok(Math.abs(residual + flows.reduce((acc, flow) => acc + flow.effect, 0) - gap) < 1e-9);
+});
@@ -0,0 +1,33 @@
+// IRR solver; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calculateIRR, countSignChanges, findAllIRRs, npvAt, solveIRR, toPeriodicFlows } from "../src/engine/irr.js";
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+test("the SME example cash flows have an IRR of 26.93%", () => {
+  close(calculateIRR([-100, -945, 350, 1282.7]), 0.2692780709);
+});
+
+// -1 + 5 / (1 + r) - 6 / (1 + r)^2 = 0 at r = 100% and r = 200%
+test("findAllIRRs finds every root of flows with two sign changes", () => {
+  const flows = toPeriodicFlows([-1, 5, -6]);
+  assert.equal(countSignChanges(flows), 2);
+  const roots = findAllIRRs(flows);
+  assert.equal(roots.length, 2);
+  close(roots[0], 1);
+  close(roots[1], 2);
+});
+
+// Newton-Raphson from 10% overshoots below -99% here, so the root comes from the bracketing scan
+test("solveIRR falls back to the bracketed root when Newton-Raphson fails", () => {
+  const flows = toPeriodicFlows([-100, 5]);
+  close(solveIRR(flows), -0.95);
+  close(npvAt(flows, solveIRR(flows)), 0);
+});
+
+test("flows without a sign change have no IRR", () => {
+  assert.ok(isNaN(calculateIRR([100, 50])));
+  assert.deepEqual(findAllIRRs(toPeriodicFlows([0, 0])), []);
+});
@@ -0,0 +1,74 @@
+// Multi-holding portfolios; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario } from "../src/engine/index.js";
+import { defaultPortfolio } from "../src/engine/portfolio.js";
+import { linkPeriod } from "../src/engine/returns.js";
+
+const SME = {
+  investment: [100, 950, 0],
+  returns: [-0.5, 0.35, 0.27],
+  divReinvested: [0, 10, 0],
+  divNotReinvested: [5, 0, 0],
+  withdrawals: [0, -350, 0],
+  unitScale: 1
+};
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message);
+
+// Holding 1 is the account's own inputs and Holding 2 is empty, so the portfolio is the account
+test("the default portfolio matches the single account in dated mode", () => {
+  const scenario = {
+    ...SME,
+    dates: {
+      start: "2022-01-01",
+      periodEnds: ["2022-07-01", "2023-01-01", "2023-07-01"],
+      investment: ["2022-01-01", "2022-10-01", "2023-01-01"],
+      withdrawal: ["2022-07-01", "2022-12-01", "2023-07-01"]
+    }
+  };
+  const result = runScenario({ ...scenario, portfolio: defaultPortfolio(scenario) });
+  result.endValues.forEach((value, i) => close(result.portfolio.endValues[i], value, `end value ${i + 1}`));
+  close(result.portfolio.twr, result.metrics.twr, "TWR");
+  close(result.portfolio.irr, result.metrics.irr, "IRR");
+  close(result.portfolio.xirr, result.metrics.xirr, "XIRR");
+});
+
+test("the default portfolio matches the single account with mid-period flows", () => {
+  const scenario = { ...SME, timing: { investment: "middle", dividend: "middle" } };
+  const result = runScenario({ ...scenario, portfolio: defaultPortfolio(scenario) });
+  result.subPeriodReturns.forEach((r, i) => close(result.portfolio.periodReturns[i], r, `period ${i + 1}`));
+  close(result.portfolio.twr, result.metrics.twr, "TWR");
+  close(result.portfolio.irr, result.metrics.irr, "IRR");
+});
+
+// Two holdings of 100, one up 10% and one down 10% in each half of the period, with 100 more put
+// into the first at mid-period: the period splits there and each half links on the summed values
+test("linkPeriod links the summed values of several holdings at every flow", () => {
+  const link = linkPeriod([
+    { open: 100, growth: 1.21, flows: [{ amount: 100, fraction: 0.5 }], income: [] },
+    { open: 100, growth: 0.81, flows: [], income: [] }
+  ]);
+  close(link, ((110 + 90) / 200) * ((210 * 1.1 + 90 * 0.9) / 300));
+});
+
+test("annual rebalancing trades back to the targets and the contributions add up", () => {
+  const holding = (name, returns) => ({
+    name,
+    investment: [50, 0],
+    returns,
+    divReinvested: [0, 0],
+    divNotReinvested: [0, 0],
+    withdrawals: [0, 0]
+  });
+  const portfolio = {
+    holdings: [holding("Stocks", [1, 0]), holding("Bonds", [0, 0])],
+    rebalancing: { rule: "annual", targets: [0.5, 0.5], band: 0.05 }
+  };
+  const account = { ...holding("Account", [0.5, 0]), investment: [100, 0], unitScale: 1 };
+  const result = runScenario({ ...account, portfolio }).portfolio;
+  assert.deepEqual(result.holdings.map(h => h.trades[0]), [-25, 25]);
+  assert.deepEqual(result.holdings.map(h => h.endValues[1]), [75, 75]);
+  close(result.contributionTotals[0], result.holdings.reduce((acc, h) => acc + h.contributions[0], 0));
+  close(result.periodReturns[0], 0.5);
+});
@@ -0,0 +1,30 @@
+// Shared links and saved scenarios; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SCENARIO, fromPayload, toPayload } from "../src/scenarios.js";
+
+test("fromPayload loads a valid payload over the defaults", () => {
+  const saved = { investment: [100], returns: [0.1], divReinvested: [0], divNotReinvested: [0], withdrawals: [0] };
+  const { name, scenario } = fromPayload(toPayload("Mine", saved));
+  assert.equal(name, "Mine");
+  assert.deepEqual(scenario.investment, [100]);
+  assert.equal(scenario.unitScale, DEFAULT_SCENARIO.unitScale);
+});
+
+test("fromPayload rejects malformed scenarios instead of loading them", () => {
+  [
+    { portfolio: {} },
+    { portfolio: { holdings: "x" } },
+    { portfolio: { holdings: [null] } },
+    { dates: {} },
+    { dates: { start: "2024-01-01", periodEnds: ["2025-01-01"] } },
+    { investment: [100] },
+    { returns: ["a", 0, 0] },
+    { fees: { managementRate: "1%" } }
+  ].forEach(overrides => {
+    assert.equal(fromPayload(toPayload("Bad", { ...DEFAULT_SCENARIO, ...overrides })), null);
+  });
+  [null, 42, { v: 1, scenario: [] }, { v: 1, scenario: "x" }].forEach(payload => {
+    assert.equal(fromPayload(payload), null);
+  });
+});
@@ -0,0 +1,19 @@
+// Monte Carlo simulation helpers; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { histogram } from "../src/engine/simulation.js";
+
+test("histogram bins every finite value between the minimum and maximum", () => {
+  const bins = histogram([0, 1, 2, 3, NaN, Infinity], 3);
+  assert.deepEqual(bins.map(bin => bin.count), [1, 1, 2]);
+  assert.equal(bins[0].from, 0);
+  assert.equal(bins[2].to, 3);
+});
+
+// More values than a call can take as spread arguments
+test("histogram handles more paths than fit on the call stack", () => {
+  const values = Array.from({ length: 300000 }, (_, i) => i % 1000);
+  const bins = histogram(values, 10);
+  assert.equal(bins.reduce((acc, bin) => acc + bin.count, 0), values.length);
+  assert.equal(bins[9].to, 999);
+});
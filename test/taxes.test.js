@@ -0,0 +1,45 @@
+// Dividend and capital gains taxes; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario } from "../src/engine/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+const base = {
+  investment: [100, 0],
+  returns: [0, 0],
+  divReinvested: [0, 0],
+  divNotReinvested: [0, 0],
+  withdrawals: [0, 0],
+  unitScale: 1
+};
+const taxes = gainsBasis => ({ dividendRate: 0.15, capitalGainsRate: 0.2, gainsBasis });
+
+// A 20 loss in Year 1 is carried forward and offsets most of the 24 gain in Year 2
+test("marked-to-market losses carry forward against later gains", () => {
+  const result = runScenario({ ...base, returns: [-0.2, 0.3], taxes: taxes("markToMarket") });
+  close(result.taxes.capitalGains[0], 0);
+  close(result.taxes.capitalGains[1], 0.2 * (24 - 20));
+});
+
+test("realized gains are taxed only on the liquidation at the end", () => {
+  const result = runScenario({ ...base, returns: [0.1, 0.1], taxes: taxes("realized") });
+  close(result.taxes.capitalGains[0], 0);
+  close(result.taxes.capitalGains[1], 0.2 * 21);
+  close(result.endValues[1], 121 - 0.2 * 21);
+});
+
+// Doubling to 200 and withdrawing 100 sells half the holding, realizing half of the 100 gain
+test("a withdrawal realizes its pro-rata share of the gain", () => {
+  const result = runScenario({ ...base, returns: [1, 0], withdrawals: [-100, 0], taxes: taxes("realized") });
+  close(result.taxes.capitalGains[0], 0.2 * 50);
+  close(result.endValues[0], 90);
+});
+
+test("paid-out dividends are paid net of dividend tax", () => {
+  const result = runScenario({ ...base, divNotReinvested: [10, 0], taxes: taxes("realized") });
+  close(result.taxes.dividend[0], 1.5);
+  close(result.taxes.dividendsPaid[0], 8.5);
+  close(result.cashFlows[1], 8.5);
+});
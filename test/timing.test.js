@@ -0,0 +1,45 @@
+// Cash-flow timing within the period; run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runScenario } from "../src/engine/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+const base = {
+  investment: [100, 0],
+  returns: [0.21, 0],
+  divReinvested: [0, 0],
+  divNotReinvested: [0, 0],
+  withdrawals: [0, 0],
+  unitScale: 1
+};
+
+// Invested half way through a 21% year, the money earns 1.21^0.5 = 1.1
+test("a mid-period investment earns the return for the rest of the period", () => {
+  const result = runScenario({ ...base, timing: { investment: "middle" } });
+  close(result.endValues[0], 110);
+  assert.deepEqual(result.midPeriodCashFlows, [-100, 0]);
+  [0, 0, 110].forEach((amount, t) => close(result.cashFlows[t], amount));
+  close(result.metrics.irr, Math.pow(1.1, 1 / 1.5) - 1, 1e-6);
+  close(result.metrics.twr, Math.pow(1.1, 1 / 2) - 1);
+});
+
+test("an investment at the period end earns nothing that period and sits on the grid at t = i + 1", () => {
+  const result = runScenario({ ...base, returns: [0.21, 0.1], timing: { investment: "end" } });
+  close(result.endValues[0], 100);
+  close(result.endValues[1], 110);
+  assert.deepEqual(result.cashFlows, [0, -100, 110]);
+});
+
+test("a withdrawal at the period start leaves the period's return to the rest", () => {
+  const result = runScenario({ ...base, returns: [0, 0.1], withdrawals: [0, -50], timing: { withdrawal: "beginning" } });
+  close(result.endValues[1], 55);
+  assert.deepEqual(result.cashFlows, [-100, 50, 55]);
+});
+
+test("paid-out dividends count toward the TWR only when dividendsInTwr is set", () => {
+  const withDividend = { ...base, returns: [0, 0], divNotReinvested: [10, 0] };
+  close(runScenario(withDividend).totalReturns[0], 0.1);
+  close(runScenario({ ...withDividend, timing: { dividendsInTwr: false } }).totalReturns[0], 0);
+});